@@ -1,8 +1,15 @@
 #!/usr/bin/env node
 
+import { add } from "./src/commands/add.js";
+import { generate } from "./src/commands/generate.js";
 import { init } from "./src/main.js";
 
-init().catch((e) => {
+const COMMANDS = { add, generate };
+
+const [command, ...args] = process.argv.slice(2);
+const run = COMMANDS[command] ? () => COMMANDS[command](args) : () => init();
+
+run().catch((e) => {
   console.error(e);
   process.exit(1);
 });
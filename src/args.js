@@ -0,0 +1,294 @@
+import { PACKAGE_MANAGERS } from "./constants.js";
+import { FEATURES } from "./features/index.js";
+import { validateProjectName } from "./questions.js";
+import { getTemplate } from "./template-source.js";
+
+// Flags that take a value, mapped to the answer they provide
+const CORE_VALUE_FLAGS = {
+  pm: "packageManager",
+  features: "features",
+};
+
+// Flags that take a value and configure the CLI itself
+const OPTION_FLAGS = {
+  preset: "preset",
+  "save-preset": "savePreset",
+  plugin: "plugins",
+  template: "template",
+};
+
+// Options that can be repeated or given as a comma-separated list
+const LIST_OPTIONS = ["plugins"];
+
+// Follow-up prompts of the registered features and of a --template
+const getFollowUpPrompts = () => [
+  ...Object.values(FEATURES).flatMap((feature) => feature.prompts),
+  ...(getTemplate()?.prompts ?? []),
+];
+
+// Follow-up prompts that declare a `flag`
+const getFlaggedPrompts = () =>
+  getFollowUpPrompts().filter((question) => question.flag);
+
+const isBoolean = (question) => question.type === "confirm";
+
+const getValueFlags = () => ({
+  ...CORE_VALUE_FLAGS,
+  ...Object.fromEntries(
+    getFlaggedPrompts()
+      .filter((question) => !isBoolean(question))
+      .map((question) => [question.flag, question.name]),
+  ),
+});
+
+// Confirm prompts are answered with --<flag> and --no-<flag>
+const getBooleanFlags = () =>
+  Object.fromEntries(
+    getFlaggedPrompts()
+      .filter(isBoolean)
+      .flatMap((question) => [
+        [question.flag, [question.name, true]],
+        [`no-${question.flag}`, [question.name, false]],
+      ]),
+  );
+
+const getListAnswers = () => [
+  "features",
+  ...getFollowUpPrompts()
+    .filter((question) => question.type === "multiselect")
+    .map((question) => question.name),
+];
+
+const choiceValues = (question, answers) => {
+  const choices =
+    typeof question.choices === "function"
+      ? question.choices(null, answers)
+      : question.choices;
+  return choices?.map((choice) => choice.value);
+};
+
+export function getUsage() {
+  const featureFlags = getFlaggedPrompts().map((question) => {
+    const flag = isBoolean(question)
+      ? `  --${question.flag}, --no-${question.flag}`
+      : `  --${question.flag} <${question.type === "multiselect" ? "list" : "value"}>`;
+    const values = choiceValues(question, {});
+    const description = `${question.message.replace(/[:?]$/, "")}${values ? ` (${values.join(", ")})` : ""}`;
+    // Long flags get their description on the next line
+    return flag.length > 24
+      ? `${flag}\n${" ".repeat(26)}${description}`
+      : `${flag.padEnd(26)}${description}`;
+  });
+
+  return `Usage: create-tanstack-boilerplate [project-name] [options]
+
+Options:
+  --pm <manager>          Package manager (${PACKAGE_MANAGERS.join(", ")})
+  --features <list>       Comma-separated features (${Object.keys(FEATURES).join(", ")})
+${featureFlags.join("\n")}
+  --monorepo              Create the app in apps/web of a workspace, with
+                          packages/ui and packages/config
+  --turbo, --no-turbo     Run the workspace tasks with Turborepo or not
+  --git, --no-git         Initialize a git repository or not
+  --install, --skip-install
+                          Install dependencies after generating or not
+  --preset <file|name>    Load answers from a JSON/YAML file or a named preset
+  --save-preset <file|name>
+                          Save the answers given to a file or a named preset
+  --plugin <module>       Load a feature plugin (path or package name), repeatable
+  --template <source>     Start from a custom template: a directory, a .tgz
+                          file or a git URL (#ref for a branch or tag)
+  --run-template-setup    Run the template's postGenerate commands without asking
+  --dry-run               Print the files that would be created without writing them
+  --latest                Use the latest version of every package instead of
+                          the tested ones
+  -y, --yes               Accept defaults for every unanswered prompt
+  -h, --help              Show this message
+`;
+}
+
+const splitList = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const checkOneOf = (label, value, allowed) => {
+  if (!allowed.includes(value)) {
+    throw new Error(
+      `Invalid value "${value}" for ${label}. Expected one of: ${allowed.join(", ")}`,
+    );
+  }
+};
+
+const checkValid = (result) => {
+  if (result !== true) throw new Error(result);
+};
+
+/**
+ * Collect the `--plugin` values, which have to be loaded before the other
+ * flags can be parsed since plugins add features and flags.
+ */
+export function getPluginArgs(argv) {
+  return argv.flatMap((arg, i) => {
+    if (arg === "--plugin" && argv[i + 1]) return splitList(argv[i + 1]);
+    if (arg.startsWith("--plugin=")) return splitList(arg.slice(9));
+    return [];
+  });
+}
+
+/**
+ * The `--template` value, loaded before the other flags are parsed since a
+ * template may add prompts with flags.
+ */
+export function getTemplateArg(argv) {
+  const index = argv.findLastIndex(
+    (arg) => arg === "--template" || arg.startsWith("--template="),
+  );
+  if (index === -1) return undefined;
+  return argv[index] === "--template" ? argv[index + 1] : argv[index].slice(11);
+}
+
+/**
+ * Parse command-line arguments into a partial answers object.
+ * Only answers that were actually passed are set, so the matching
+ * prompts can be skipped and the rest still asked. Positional arguments
+ * provide the `positional` answer (the project name by default).
+ */
+export function parseArgs(argv, { positional = "projectName" } = {}) {
+  const answers = {};
+  const options = {
+    yes: false,
+    help: false,
+    dryRun: false,
+    latest: false,
+    runTemplateSetup: false,
+    plugins: [],
+  };
+  const positionals = [];
+  const valueFlags = getValueFlags();
+  const booleanFlags = getBooleanFlags();
+  const listAnswers = getListAnswers();
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "-y" || arg === "--yes") {
+      options.yes = true;
+    } else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--latest") {
+      options.latest = true;
+    } else if (arg === "--run-template-setup") {
+      options.runTemplateSetup = true;
+    } else if (arg === "--monorepo") {
+      answers.monorepo = true;
+    } else if (arg === "--no-monorepo") {
+      answers.monorepo = false;
+    } else if (arg === "--turbo") {
+      answers.turbo = true;
+    } else if (arg === "--no-turbo") {
+      answers.turbo = false;
+    } else if (arg === "--git") {
+      answers.initGit = true;
+    } else if (arg === "--no-git") {
+      answers.initGit = false;
+    } else if (arg === "--install") {
+      answers.install = true;
+    } else if (arg === "--skip-install" || arg === "--no-install") {
+      answers.install = false;
+    } else if (booleanFlags[arg.slice(2)]) {
+      const [name, value] = booleanFlags[arg.slice(2)];
+      answers[name] = value;
+    } else if (arg.startsWith("--")) {
+      const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      const name = OPTION_FLAGS[flag] || valueFlags[flag];
+      if (!name) throw new Error(`Unknown option: --${flag}`);
+
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined || (inlineValue === undefined && value.startsWith("-"))) {
+        throw new Error(`Missing value for --${flag}`);
+      }
+      if (LIST_OPTIONS.includes(name)) {
+        options[name].push(...splitList(value));
+      } else if (OPTION_FLAGS[flag]) {
+        options[name] = value;
+      } else {
+        answers[name] = listAnswers.includes(name) ? splitList(value) : value;
+      }
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  if (listAnswers.includes(positional)) {
+    if (positionals.length > 0) answers[positional] = positionals;
+  } else {
+    if (positionals.length > 1) {
+      throw new Error(`Unexpected argument: ${positionals[1]}`);
+    }
+    if (positionals.length === 1) {
+      answers[positional] = positionals[0];
+    }
+  }
+
+  const flagNames = Object.fromEntries(
+    Object.entries(valueFlags).map(([flag, name]) => [name, `--${flag}`]),
+  );
+  validateAnswers(answers, (name) =>
+    name === positional ? "argument" : flagNames[name] || name,
+  );
+
+  return { answers, options };
+}
+
+/**
+ * Apply the same checks as the prompt validators to answers that were not
+ * typed into a prompt (flags, presets). `label` names the source of a value
+ * in error messages.
+ */
+export function validateAnswers(answers, label) {
+  for (const name of getListAnswers()) {
+    if (answers[name] !== undefined && !Array.isArray(answers[name])) {
+      throw new Error(`Expected a list for ${label(name)}`);
+    }
+  }
+  for (const name of ["monorepo", "turbo", "initGit", "install"]) {
+    if (answers[name] !== undefined && typeof answers[name] !== "boolean") {
+      throw new Error(`Expected true or false for ${label(name)}`);
+    }
+  }
+
+  if (answers.projectName !== undefined) {
+    checkValid(validateProjectName(answers.projectName));
+  }
+  if (answers.packageManager !== undefined) {
+    checkOneOf(label("packageManager"), answers.packageManager, PACKAGE_MANAGERS);
+  }
+  if (answers.features !== undefined) {
+    answers.features.forEach((feature) =>
+      checkOneOf(label("features"), feature, Object.keys(FEATURES)),
+    );
+  }
+
+  // Follow-up answers get the checks of their prompt: validator and choices
+  for (const question of getFollowUpPrompts()) {
+    const value = answers[question.name];
+    if (value === undefined) continue;
+
+    if (isBoolean(question) && typeof value !== "boolean") {
+      throw new Error(`Expected true or false for ${label(question.name)}`);
+    }
+    if (question.validate) checkValid(question.validate(value));
+    const allowed = choiceValues(question, answers);
+    if (allowed) {
+      [].concat(value).forEach((item) =>
+        checkOneOf(label(question.name), item, allowed),
+      );
+    }
+  }
+}
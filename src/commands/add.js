@@ -0,0 +1,299 @@
+import fs from "node:fs";
+import path from "node:path";
+import { bold, cyan, green, red, yellow } from "kolorist";
+import prompts from "prompts";
+import { getPluginArgs, parseArgs } from "../args.js";
+import { FEATURES, getFeatures, loadPlugins } from "../features/index.js";
+import { generateProject } from "../generate.js";
+import { getVitePlugins } from "../generators/config.js";
+import { createOutput } from "../output.js";
+import { insertArrayEntries, insertImport } from "../patch.js";
+import {
+  getFeatureQuestions,
+  resolveSelection,
+  withDefaults,
+} from "../questions.js";
+import { detectProject } from "../project.js";
+import { TEMPLATE_FILES, getSlots, patchSlots } from "../setup/base.js";
+import { readUserConfig } from "../user-config.js";
+
+const getAddUsage = () => `Usage: create-tanstack-boilerplate add <feature...> [options]
+
+Adds features to the TanStack Start project in the current directory.
+
+Features: ${Object.keys(FEATURES).join(", ")}
+
+Options:
+  --<flag> <value>        Answer a follow-up prompt of a feature (see --help
+                          of the main command for the list)
+  --plugin <module>       Load a feature plugin (path or package name), repeatable
+  --dry-run               Show what would change without writing anything
+  --latest                Add the latest version of new packages instead of
+                          the tested ones
+  -y, --yes               Accept defaults for every unanswered prompt
+  -h, --help              Show this message
+`;
+
+const PACKAGE_SECTIONS = ["dependencies", "devDependencies", "scripts"];
+
+// Merge the entries a feature adds to package.json, keeping user edits
+function mergePackageJson(content, base, next) {
+  const pkg = JSON.parse(content);
+  const conflicts = [];
+
+  for (const section of PACKAGE_SECTIONS) {
+    for (const [name, value] of Object.entries(next[section] || {})) {
+      const original = base[section]?.[name];
+      if (original === value) continue;
+
+      const current = pkg[section]?.[name];
+      if (current === undefined || current === original) {
+        pkg[section] = { ...pkg[section], [name]: value };
+      } else if (current !== value) {
+        conflicts.push(`${section}.${name}`);
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(next)) {
+    if (PACKAGE_SECTIONS.includes(key) || key in base) continue;
+    if (!(key in pkg)) {
+      pkg[key] = value;
+    } else if (JSON.stringify(pkg[key]) !== JSON.stringify(value)) {
+      conflicts.push(key);
+    }
+  }
+
+  return { content: JSON.stringify(pkg, null, 2), conflicts };
+}
+
+function mergeTsconfig(content, base, next) {
+  const tsconfig = JSON.parse(content);
+  const types = next.compilerOptions.types.filter(
+    (type) => !base.compilerOptions.types.includes(type),
+  );
+  const current = tsconfig.compilerOptions?.types || [];
+  tsconfig.compilerOptions = {
+    ...tsconfig.compilerOptions,
+    types: [...current, ...types.filter((type) => !current.includes(type))],
+  };
+  return JSON.stringify(tsconfig, null, 2);
+}
+
+function patchViteConfig(content, current, next) {
+  const existing = getVitePlugins(current).map((plugin) => plugin.code);
+  const plugins = getVitePlugins(next);
+  const firstExisting = plugins.findIndex((p) => existing.includes(p.code));
+  const added = plugins
+    .map((plugin, index) => ({ ...plugin, first: index < firstExisting }))
+    .filter((plugin) => !existing.includes(plugin.code))
+    .filter((plugin) => !content.includes(plugin.code.split("(")[0] + "("));
+
+  let patched = content;
+  for (const plugin of added) {
+    patched = patched && insertImport(patched, plugin.import);
+  }
+  return added.length && patched
+    ? insertArrayEntries(patched, "plugins", added)
+    : patched;
+}
+
+/**
+ * Patch a file the user has edited so it includes what the new features add.
+ * Returns the new content, or a list of conflicts when it can't be patched.
+ */
+function patchFile(file, content, baseOut, nextOut, current, next) {
+  const parse = (out) => JSON.parse(out.read(file));
+
+  try {
+    if (file === "package.json") {
+      return mergePackageJson(content, parse(baseOut), parse(nextOut));
+    }
+    if (file === "tsconfig.json") {
+      return { content: mergeTsconfig(content, parse(baseOut), parse(nextOut)) };
+    }
+    if (file === "vite.config.ts") {
+      return { content: patchViteConfig(content, current, next) };
+    }
+
+    // Base template files get the slot entries and patch hooks of the new
+    // features
+    if (TEMPLATE_FILES.includes(file)) {
+      const added = getFeatures(
+        next.features.filter((f) => !current.features.includes(f)),
+      );
+      let patched = patchSlots(content, getSlots(added, file, next));
+      for (const feature of added) {
+        if (patched === null) break;
+        if (feature.patch) patched = feature.patch(file, patched, next);
+      }
+      return { content: patched };
+    }
+  } catch {
+    // Unparseable JSON is reported as a conflict below
+  }
+  return { content: null };
+}
+
+/**
+ * Compare the project on disk with renders of its current and new feature
+ * set. Untouched files are replaced, edited ones are patched where possible
+ * and reported as conflicts otherwise.
+ */
+function planChanges(root, current, next) {
+  const baseOut = generateProject(current);
+  const nextOut = generateProject(next);
+  const changes = createOutput();
+  const plan = { created: [], updated: [], conflicts: [] };
+
+  for (const entry of nextOut.files()) {
+    const file = entry.path;
+    const generated = entry.content.toString();
+    const original = baseOut.read(file);
+    const diskPath = path.join(root, file);
+
+    if (!fs.existsSync(diskPath)) {
+      changes.scope(entry.feature).write(file, entry.content);
+      plan.created.push(file);
+      continue;
+    }
+
+    const onDisk = fs.readFileSync(diskPath, "utf-8");
+    if (onDisk === generated || original === generated) continue;
+
+    if (onDisk === original) {
+      changes.scope(entry.feature).write(file, entry.content);
+      plan.updated.push(file);
+      continue;
+    }
+
+    const result = patchFile(file, onDisk, baseOut, nextOut, current, next);
+    if (result.content !== null && result.content !== onDisk) {
+      changes.scope(entry.feature).write(file, result.content);
+      plan.updated.push(file);
+    }
+    if (result.content === null) {
+      plan.conflicts.push(file);
+    } else if (result.conflicts?.length) {
+      plan.conflicts.push(`${file} (${result.conflicts.join(", ")})`);
+    }
+  }
+
+  return { changes, plan };
+}
+
+export async function add(argv) {
+  console.log(cyan(bold("\n➕ Add features to a TanStack Start project\n")));
+
+  const root = process.cwd();
+
+  try {
+    await loadPlugins([...readUserConfig(root).plugins, ...getPluginArgs(argv)]);
+  } catch (error) {
+    console.log(red(`✖ Failed to load plugin: ${error.message}\n`));
+    process.exit(1);
+  }
+
+  let flags;
+  try {
+    flags = parseArgs(argv, { positional: "features" });
+  } catch (error) {
+    console.log(red(`✖ ${error.message}\n`));
+    console.log(getAddUsage());
+    process.exit(1);
+  }
+
+  const { features: requested = [], ...answers } = flags.answers;
+  if (flags.options.help || requested.length === 0) {
+    console.log(getAddUsage());
+    return;
+  }
+
+  let current;
+  try {
+    current = detectProject(root);
+  } catch (error) {
+    console.log(red(`✖ ${error.message}\n`));
+    process.exit(1);
+  }
+
+  requested
+    .filter((f) => current.features.includes(f))
+    .forEach((f) => console.log(yellow(`• ${FEATURES[f].name} is already set up`)));
+
+  let features;
+  try {
+    features = resolveSelection([...current.features, ...requested]);
+  } catch (error) {
+    console.log(red(`✖ ${error.message}\n`));
+    process.exit(1);
+  }
+
+  const added = features.filter((f) => !current.features.includes(f));
+  if (added.length === 0) {
+    console.log(green("\n✓ Nothing to add\n"));
+    return;
+  }
+
+  // Ask the follow-up questions of the new features only
+  prompts.override(
+    flags.options.yes ? withDefaults({ ...answers, features }) : answers,
+  );
+
+  let result = {};
+  try {
+    result = await prompts(getFeatureQuestions(added, features), {
+      onCancel: () => {
+        throw new Error("Operation cancelled");
+      },
+    });
+  } catch (error) {
+    // Cancelled, or the feature selection broke a rule
+    console.log(`${red("✖")} ${error.message}`);
+    process.exit(1);
+  }
+
+  // --latest applies to both renders so only the new packages get "latest"
+  current.latest = flags.options.latest;
+  const next = { ...current, ...result, features };
+  for (const feature of getFeatures(added)) {
+    const valid = feature.validate?.(next) ?? true;
+    if (valid !== true) {
+      console.log(red(`\n✖ ${valid}\n`));
+      process.exit(1);
+    }
+  }
+
+  const { changes, plan } = planChanges(root, current, next);
+
+  console.log(
+    cyan(`\nAdding ${added.map((f) => FEATURES[f].name).join(", ")}\n`),
+  );
+  plan.created.forEach((file) => console.log(green(`  + ${file}`)));
+  plan.updated.forEach((file) => console.log(yellow(`  ~ ${file}`)));
+  plan.conflicts.forEach((file) => console.log(red(`  ! ${file}`)));
+
+  if (flags.options.dryRun) {
+    console.log(yellow("\nDry run: nothing was written to disk.\n"));
+    return;
+  }
+
+  changes.flush(root);
+
+  if (plan.conflicts.length > 0) {
+    console.log(
+      red(
+        `\n✖ ${plan.conflicts.length} file(s) were changed since they were generated and were left untouched.`,
+      ),
+    );
+    console.log(yellow("  Apply the feature's changes to them by hand."));
+  }
+
+  console.log(green(bold("\n✓ Features added!\n")));
+  console.log(cyan("Next steps:\n"));
+  [
+    `${current.packageManager} install`,
+    ...getFeatures(added).flatMap((feature) => feature.nextSteps?.(next) ?? []),
+  ].forEach((step) => console.log(`  ${step}`));
+  console.log();
+}
@@ -0,0 +1,168 @@
+import fs from "node:fs";
+import path from "node:path";
+import { bold, cyan, green, red, yellow } from "kolorist";
+import {
+  getApiRoute,
+  getLayoutRoute,
+  getPageRoute,
+  getRouteFile,
+  isPathless,
+  parseRoutePath,
+} from "../generators/route.js";
+import { listFiles } from "../output.js";
+import { detectProject } from "../project.js";
+
+const getGenerateUsage = () => `Usage: create-tanstack-boilerplate generate <kind> <path> [options]
+
+Adds a file route to the TanStack Start project in the current directory.
+Path segments follow the file route naming: $param for path params,
+_name for pathless layouts and (name) for groups.
+
+Kinds:
+  route <path>            A page with head tags, a loader, pending and error
+                          components (a path ending with / is an index route)
+  layout <path>           A layout route rendering its child routes
+  api <path>              A server route with a GET handler, under /api
+
+Options:
+  --no-search             Leave out validateSearch in a route
+  --dry-run               Show the file that would be written
+  -h, --help              Show this message
+
+Examples:
+  create-tanstack-boilerplate generate route /posts/$postId
+  create-tanstack-boilerplate generate layout /_dashboard
+  create-tanstack-boilerplate generate api /users/$userId
+`;
+
+const KINDS = ["route", "layout", "api"];
+
+function parseGenerateArgs(argv) {
+  const options = { help: false, dryRun: false, search: true };
+  const positionals = [];
+
+  for (const arg of argv) {
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--no-search") {
+      options.search = false;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  const [kind, routePath, extra] = positionals;
+  if (extra !== undefined) throw new Error(`Unexpected argument: ${extra}`);
+  if (kind !== undefined && !KINDS.includes(kind)) {
+    throw new Error(`Unknown kind "${kind}". Expected one of: ${KINDS.join(", ")}`);
+  }
+  return { kind, routePath, options };
+}
+
+// Whether src/routes has route files under the given segments
+const hasChildRoutes = (root, segments) => {
+  const dir = path.join(root, "src/routes", ...segments);
+  return fs.existsSync(dir) && listFiles(dir).some((file) => /\.tsx?$/.test(file));
+};
+
+// The file and its content for a kind of route, from what the project uses
+function getRoute(root, kind, routePath, project, options) {
+  let segments = parseRoutePath(routePath);
+
+  if (kind === "api") {
+    if (segments[0] !== "api") segments = ["api", ...segments];
+    const route = getRouteFile(segments, { extension: "ts" });
+    return { ...route, content: getApiRoute(segments, route) };
+  }
+
+  if (kind === "layout") {
+    if (segments.length === 0) throw new Error("A layout needs a path, such as /_dashboard");
+    // Without children a pathless layout matches the same path as its parent
+    if (isPathless(segments.at(-1)) && !hasChildRoutes(root, segments)) {
+      throw new Error(
+        `The pathless layout ${routePath} has no child routes yet, add one first: generate route /${segments.join("/")}/<path>`,
+      );
+    }
+    const route = getRouteFile(segments);
+    return { ...route, content: getLayoutRoute(segments, route) };
+  }
+
+  const route = getRouteFile(segments, { index: routePath.endsWith("/") });
+  const content = getPageRoute(segments, {
+    id: route.id,
+    validatorLib: options.search && project.features.includes("validator")
+      ? project.validatorLib
+      : undefined,
+    withQuery: project.withQuery,
+  });
+  return { ...route, content };
+}
+
+export async function generate(argv) {
+  console.log(cyan(bold("\n🧩 Generate a TanStack Start route\n")));
+
+  const root = process.cwd();
+
+  let args;
+  try {
+    args = parseGenerateArgs(argv);
+  } catch (error) {
+    console.log(red(`✖ ${error.message}\n`));
+    console.log(getGenerateUsage());
+    process.exit(1);
+  }
+
+  const { kind, routePath, options } = args;
+  if (options.help || !kind || !routePath) {
+    console.log(getGenerateUsage());
+    return;
+  }
+
+  let project;
+  try {
+    project = detectProject(root);
+  } catch (error) {
+    console.log(red(`✖ ${error.message}\n`));
+    process.exit(1);
+  }
+
+  // React Query comes with the base template, but may have been removed since
+  const pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf-8"));
+  project.withQuery = Boolean(
+    pkg.dependencies?.["@tanstack/react-query"] ?? pkg.devDependencies?.["@tanstack/react-query"],
+  );
+
+  let route;
+  try {
+    route = getRoute(root, kind, routePath, project, options);
+  } catch (error) {
+    console.log(red(`✖ ${error.message}\n`));
+    process.exit(1);
+  }
+
+  const target = path.join(root, route.file);
+  if (fs.existsSync(target)) {
+    console.log(red(`✖ ${route.file} already exists\n`));
+    process.exit(1);
+  }
+
+  console.log(green(`  + ${route.file}`) + ` ${route.id}`);
+
+  if (options.dryRun) {
+    console.log(`\n${route.content}`);
+    console.log(yellow("Dry run: nothing was written to disk.\n"));
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, route.content);
+
+  console.log(green(bold("\n✓ Route generated!\n")));
+  console.log(
+    "  The route tree (src/routeTree.gen.ts) is updated when the dev server or a build runs.\n",
+  );
+}
@@ -0,0 +1,6 @@
+export default {
+  key: "animation",
+  name: "Animations",
+  description: "Framer Motion for smooth animations",
+  packages: ["framer-motion"],
+};
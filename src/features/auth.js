@@ -0,0 +1,118 @@
+import { getExecCommand, getRunCommand } from "../package-manager.js";
+import { createAuthSetup } from "../setup/auth.js";
+import { getVersion } from "../versions.js";
+
+// Lets local development run without a .env, production must set its own
+const DEV_SECRET = "dev-only-secret-dev-only-secret-dev-only";
+
+// Deployment targets without a filesystem for sqlite.db
+const EDGE_TARGETS = ["cloudflare", "netlify", "vercel"];
+
+const getAuthPackages = ({ authLib, authStore }) => ({
+  dependencies: [
+    ...(authLib === "better-auth" ? ["better-auth"] : []),
+    ...(authStore === "sqlite" ? ["better-sqlite3"] : []),
+  ],
+  devDependencies: [
+    ...(authStore === "sqlite" ? ["@types/better-sqlite3"] : []),
+    // Runs the auth:migrate script
+    ...(authLib === "better-auth" && authStore === "sqlite" ? ["@better-auth/cli"] : []),
+  ],
+});
+
+export default {
+  key: "auth",
+  name: "Authentication",
+  description: "Cookie sessions, protected routes and a login page",
+  prompts: [
+    {
+      type: "select",
+      name: "authLib",
+      flag: "auth",
+      message: "Select authentication library:",
+      choices: [
+        { title: "Built-in sessions", value: "session" },
+        { title: "Better Auth", value: "better-auth" },
+      ],
+    },
+    {
+      type: "select",
+      name: "authStore",
+      flag: "auth-store",
+      message: "Where should users be stored?",
+      choices: [
+        { title: "In memory", value: "memory" },
+        { title: "SQLite (sqlite.db)", value: "sqlite" },
+      ],
+    },
+  ],
+  defaults: { authLib: "session", authStore: "memory" },
+  links: [["Better Auth", "https://www.better-auth.com"]],
+
+  validate({ features, authStore, deployTarget }) {
+    if (authStore !== "sqlite" || !features.includes("deploy")) return true;
+    return EDGE_TARGETS.includes(deployTarget)
+      ? `SQLite needs a server with a filesystem, use the "node" or "bun" deployment target or the in-memory store`
+      : true;
+  },
+
+  packageJson(pkg, ctx) {
+    for (const [field, packages] of Object.entries(getAuthPackages(ctx))) {
+      packages.forEach((p) => {
+        pkg[field][p] = getVersion(p, ctx);
+      });
+    }
+    if (ctx.authLib === "better-auth" && ctx.authStore === "sqlite") {
+      pkg.scripts["auth:migrate"] = getExecCommand(
+        ctx.packageManager,
+        "better-auth migrate --config src/server/better-auth.ts",
+      );
+    }
+  },
+
+  generate(out, { features, authLib, authStore }) {
+    createAuthSetup(out, { authLib, authStore, withUI: features.includes("ui") });
+  },
+
+  gitignore: ({ authStore }) => (authStore === "sqlite" ? ["sqlite.db"] : []),
+
+  env: ({ authLib }) =>
+    authLib === "better-auth"
+      ? [
+          {
+            name: "BETTER_AUTH_SECRET",
+            description: "Secret signing Better Auth sessions, e.g. openssl rand -base64 32",
+            devDefault: DEV_SECRET,
+            secret: true,
+          },
+          {
+            name: "BETTER_AUTH_URL",
+            description: "Public URL of the app, Better Auth builds its callback URLs from it",
+            example: "http://localhost:3000",
+            devDefault: "http://localhost:3000",
+          },
+        ]
+      : [
+          {
+            name: "SESSION_SECRET",
+            description: "Secret signing the session cookie, 32+ characters",
+            devDefault: DEV_SECRET,
+            minLength: 32,
+            secret: true,
+          },
+        ],
+
+  nextSteps: ({ authLib, authStore, packageManager }) =>
+    authLib === "better-auth" && authStore === "sqlite"
+      ? [getRunCommand(packageManager, "auth:migrate")]
+      : [],
+
+  detect({ deps, readFile }) {
+    const auth = readFile("src/server/auth.ts");
+    if (auth === null) return false;
+    return {
+      authLib: auth.includes("better-auth") ? "better-auth" : "session",
+      authStore: "better-sqlite3" in deps ? "sqlite" : "memory",
+    };
+  },
+};
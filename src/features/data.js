@@ -0,0 +1,15 @@
+import { createDataSetup } from "../setup/data.js";
+
+export default {
+  key: "data",
+  name: "Data Fetching",
+  description: "Server functions, query options and a loader example",
+  links: [["TanStack Query", "https://tanstack.com/query"]],
+
+  generate(out, { features }) {
+    createDataSetup(out, { withUI: features.includes("ui") });
+  },
+
+  // TanStack Query is a core package, the examples are what set it apart
+  detect: ({ readFile }) => readFile("src/queries/posts.ts") !== null,
+};
@@ -0,0 +1,130 @@
+import { getRunCommand } from "../package-manager.js";
+import {
+  D1_BINDING,
+  DB_DRIVERS,
+  createDatabaseSetup,
+  getDbDriver,
+  getDbScripts,
+} from "../setup/database.js";
+import { getVersion } from "../versions.js";
+
+// Deployment targets without a filesystem for PGlite's data directory
+const EDGE_TARGETS = ["cloudflare", "netlify", "vercel"];
+
+// D1 is a binding of the Cloudflare Workers deployment target
+const isCloudflare = ({ features = [], deployTarget }) =>
+  features.includes("deploy") && deployTarget === "cloudflare";
+
+export default {
+  key: "database",
+  name: "Database",
+  description: "Drizzle ORM with migrations, a seed script and a local driver",
+  packages: ["drizzle-orm"],
+  devPackages: ["drizzle-kit", "dotenv"],
+  prompts: [
+    {
+      type: "select",
+      name: "dbDriver",
+      flag: "db",
+      message: "Select database driver:",
+      // D1 is offered with the Cloudflare target, the default one of deploy
+      choices: (prev, values) =>
+        Object.entries(DB_DRIVERS)
+          .filter(
+            ([value]) =>
+              value !== "d1" ||
+              !values?.features ||
+              isCloudflare({ deployTarget: "cloudflare", ...values }),
+          )
+          .map(([value, driver]) => ({ title: driver.name, value })),
+      initial: (prev, values) =>
+        isCloudflare(values) ? Object.keys(DB_DRIVERS).indexOf("d1") : 0,
+    },
+  ],
+  defaults: {
+    dbDriver: (answers) => (isCloudflare(answers) ? "d1" : "libsql"),
+  },
+  links: [["Drizzle ORM", "https://orm.drizzle.team"]],
+
+  validate(ctx) {
+    if (ctx.dbDriver === "d1" && !isCloudflare(ctx)) {
+      return `D1 needs the "deploy" feature with the "cloudflare" target`;
+    }
+    if (ctx.dbDriver === "pglite" && EDGE_TARGETS.includes(ctx.deployTarget)) {
+      return `PGlite needs a server with a filesystem, use the "node" or "bun" deployment target or another driver`;
+    }
+    return true;
+  },
+
+  packageJson(pkg, ctx) {
+    const driver = getDbDriver(ctx.dbDriver);
+    driver.packages.forEach((p) => {
+      pkg.dependencies[p] = getVersion(p, ctx);
+    });
+    // D1 seeds with wrangler, the others run a TypeScript script
+    [...driver.devPackages, ...(ctx.dbDriver === "d1" ? [] : ["tsx"])].forEach((p) => {
+      pkg.devDependencies[p] = getVersion(p, ctx);
+    });
+    Object.assign(pkg.scripts, getDbScripts(ctx.dbDriver));
+  },
+
+  generate(out, { features, dbDriver }) {
+    createDatabaseSetup(out, { dbDriver, withUI: features.includes("ui") });
+  },
+
+  wrangler: ({ dbDriver, projectName }) =>
+    dbDriver === "d1"
+      ? {
+          d1_databases: [
+            {
+              binding: D1_BINDING,
+              database_name: `${projectName}-db`,
+              // Replace with the id printed by `wrangler d1 create`
+              database_id: "00000000-0000-0000-0000-000000000000",
+              migrations_dir: "drizzle",
+            },
+          ],
+        }
+      : {},
+
+  // A Postgres server for node-postgres, the app reaches it by service name
+  composeServices: ({ dbDriver }) =>
+    dbDriver === "postgres"
+      ? {
+          app: {
+            environment: {
+              DATABASE_URL: "postgres://postgres:postgres@db:5432/app",
+            },
+          },
+          db: {
+            image: "postgres:17-alpine",
+            environment: {
+              POSTGRES_USER: "postgres",
+              POSTGRES_PASSWORD: "postgres",
+              POSTGRES_DB: "app",
+            },
+            ports: ["5432:5432"],
+            volumes: ["db-data:/var/lib/postgresql/data"],
+          },
+        }
+      : {},
+
+  gitignore: ({ dbDriver }) => getDbDriver(dbDriver).gitignore,
+  env: ({ dbDriver }) => getDbDriver(dbDriver).env,
+
+  nextSteps: ({ dbDriver, packageManager }) => [
+    ...(dbDriver === "d1" ? [getRunCommand(packageManager, "cf-typegen")] : []),
+    getRunCommand(packageManager, "db:generate"),
+    getRunCommand(packageManager, "db:migrate"),
+    getRunCommand(packageManager, "db:seed"),
+  ],
+
+  detect({ deps, readFile }) {
+    if (readFile("src/db/index.ts") === null) return false;
+    const dbDriver =
+      Object.keys(DB_DRIVERS).find((key) =>
+        DB_DRIVERS[key].packages.some((p) => p in deps),
+      ) ?? "d1";
+    return { dbDriver };
+  },
+};
@@ -0,0 +1,65 @@
+import {
+  DEPLOY_TARGETS,
+  createDeploySetup,
+  getDeployTarget,
+} from "../setup/deploy.js";
+import { getVersion } from "../versions.js";
+
+export default {
+  key: "deploy",
+  name: "Deployment",
+  description: "Build and deploy scripts for Cloudflare, Node, Netlify, Vercel or Bun",
+  prompts: [
+    {
+      type: "select",
+      name: "deployTarget",
+      flag: "deploy-target",
+      message: "Select deployment target:",
+      choices: Object.entries(DEPLOY_TARGETS).map(([value, target]) => ({
+        title: target.name,
+        value,
+      })),
+      // A container runs a server build, so docker starts from Node
+      initial: (prev, values) =>
+        values.features.includes("docker")
+          ? Object.keys(DEPLOY_TARGETS).indexOf("node")
+          : 0,
+    },
+  ],
+  defaults: {
+    deployTarget: ({ features = [] }) =>
+      features.includes("docker") ? "node" : "cloudflare",
+  },
+
+  packageJson(pkg, ctx) {
+    const target = getDeployTarget(ctx.deployTarget);
+    target.devPackages.forEach((p) => {
+      pkg.devDependencies[p] = getVersion(p, ctx);
+    });
+    Object.assign(pkg.scripts, target.scripts(ctx.packageManager));
+  },
+
+  vitePlugins: ({ deployTarget }) => [getDeployTarget(deployTarget).vitePlugin],
+
+  generate(out, ctx) {
+    createDeploySetup(out, getDeployTarget(ctx.deployTarget), ctx);
+  },
+
+  gitignore: ({ deployTarget }) => getDeployTarget(deployTarget).gitignore,
+  env: ({ deployTarget }) => getDeployTarget(deployTarget).env,
+
+  detect({ deps, readFile }) {
+    if (deps["@cloudflare/vite-plugin"]) return { deployTarget: "cloudflare" };
+    if (deps["@netlify/vite-plugin-tanstack-start"]) {
+      return { deployTarget: "netlify" };
+    }
+    if (!deps["@tanstack/nitro-v2-vite-plugin"]) return false;
+
+    // The Nitro targets differ only by the preset in vite.config.ts
+    const viteConfig = readFile("vite.config.ts") || "";
+    const deployTarget = Object.keys(DEPLOY_TARGETS).find((key) =>
+      viteConfig.includes(DEPLOY_TARGETS[key].vitePlugin.code),
+    );
+    return { deployTarget: deployTarget ?? "node" };
+  },
+};
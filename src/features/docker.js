@@ -0,0 +1,26 @@
+import { createDockerSetup } from "../setup/docker.js";
+
+// Deployment targets that build a standalone server the container can run
+const SERVER_TARGETS = ["node", "bun"];
+
+export default {
+  key: "docker",
+  name: "Docker",
+  description: "Multi-stage Dockerfile, .dockerignore and docker-compose.yml",
+  requires: ["deploy"],
+  links: [["Docker", "https://docs.docker.com/get-started/"]],
+
+  validate({ deployTarget }) {
+    return SERVER_TARGETS.includes(deployTarget)
+      ? true
+      : `Docker needs the "node" or "bun" deployment target, not "${deployTarget}"`;
+  },
+
+  generate(out, ctx) {
+    createDockerSetup(out, ctx);
+  },
+
+  nextSteps: () => ["docker compose up --build"],
+
+  detect: ({ readFile }) => readFile("Dockerfile") !== null,
+};
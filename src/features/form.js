@@ -0,0 +1,16 @@
+import { createFormSetup } from "../setup/form.js";
+
+export default {
+  key: "form",
+  name: "Form Management",
+  description: "TanStack Form for efficient form state management",
+  packages: ["@tanstack/react-form"],
+  links: [["TanStack Form", "https://tanstack.com/form"]],
+
+  generate(out, { features, validatorLib }) {
+    createFormSetup(out, {
+      validatorLib: features.includes("validator") ? validatorLib : undefined,
+      withUI: features.includes("ui"),
+    });
+  },
+};
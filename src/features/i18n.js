@@ -0,0 +1,202 @@
+import { LANGUAGES } from "../constants.js";
+import { getExecCommand } from "../package-manager.js";
+import { insertAfter, replaceMatch } from "../patch.js";
+import { createI18nSetup } from "../setup/i18n.js";
+
+// Code for the slots of the base templates
+const SLOTS = {
+  "src/server.ts": {
+    imports: [`import { paraglideMiddleware } from "./paraglide/server";`],
+    middleware: [
+      "(req, next) => paraglideMiddleware(req, ({ request }) => next(request)),",
+    ],
+  },
+  "src/router.tsx": {
+    imports: [`import { deLocalizeUrl, localizeUrl } from './paraglide/runtime'`],
+    routerOptions: [
+      `rewrite: {
+  input: ({ url }) => deLocalizeUrl(url),
+  output: ({ url }) => localizeUrl(url),
+},`,
+    ],
+  },
+  "src/routes/__root.tsx": {
+    imports: [`import { getLocale } from '../paraglide/runtime'`],
+    htmlAttributes: ["lang={getLocale()}"],
+  },
+  "src/routes/index.tsx": {
+    imports: [
+      `import { LocaleSwitcher } from '../components/LocaleSwitcher'
+import { m } from '../paraglide/messages'`,
+    ],
+  },
+};
+
+// The home page shows the translated messages, in a file the user edited
+// they replace the English text
+const INDEX_PATCHES = [
+  (content) =>
+    insertAfter(content, /<div className="text-center">\n/, "        <LocaleSwitcher />\n"),
+  (content) => replaceMatch(content, /Welcome to TanStack Start! 🚀/, "{m.welcome()}"),
+  (content) => replaceMatch(content, /Start building something amazing/, "{m.description()}"),
+];
+
+// Any BCP-47 tag is accepted, the known languages are only offered first
+const isLocale = (code) => {
+  try {
+    return Intl.getCanonicalLocales(code).length === 1;
+  } catch {
+    return false;
+  }
+};
+
+const languageName = (code) => {
+  try {
+    return LANGUAGES[code] || new Intl.DisplayNames(["en"], { type: "language" }).of(code);
+  } catch {
+    return code;
+  }
+};
+
+const languageChoices = (languages) =>
+  languages.map((lang) => ({ title: languageName(lang), value: lang }));
+
+// Localized URLs for every language, the base one last so an unprefixed
+// catch-all pattern doesn't shadow the others
+function getUrlPatterns(languages, baseLocale, prefixBaseLocale) {
+  const localized = [
+    ...languages.filter((lang) => lang !== baseLocale),
+    baseLocale,
+  ].map((lang) =>
+    lang === baseLocale && !prefixBaseLocale
+      ? `["${lang}", "/:path(.*)?"]`
+      : `["${lang}", "/${lang}/:path(.*)?"]`,
+  );
+
+  return `[
+        {
+          pattern: "/:path(.*)?",
+          localized: [
+            ${localized.join(",\n            ")},
+          ],
+        },
+      ]`;
+}
+
+export default {
+  key: "i18n",
+  name: "Internationalization (i18n)",
+  description: "Multi-language support with Inlang/Paraglide",
+  devPackages: ["@inlang/paraglide-js", "@inlang/cli"],
+  prompts: [
+    {
+      type: "multiselect",
+      name: "languages",
+      flag: "languages",
+      message: "Select languages to support:",
+      // Codes given as flags or in a preset are offered too
+      choices: (prev, values) =>
+        languageChoices([
+          ...new Set([...Object.keys(LANGUAGES), ...(values?.languages ?? [])]),
+        ]).map((choice) => ({
+          ...choice,
+          selected: ["en", "vi"].includes(choice.value),
+        })),
+      hint: "- Space to select. Return to submit",
+      validate: (value) => {
+        if (!value || value.length === 0) {
+          return "Please select at least one language";
+        }
+        const invalid = value.find((lang) => !isLocale(lang));
+        return invalid ? `"${invalid}" is not a valid BCP-47 locale code` : true;
+      },
+    },
+    {
+      type: "select",
+      name: "baseLocale",
+      flag: "base-locale",
+      message: "Select base/default language:",
+      choices: (prev, values) =>
+        languageChoices(values.languages || Object.keys(LANGUAGES)),
+    },
+    {
+      type: "confirm",
+      name: "prefixBaseLocale",
+      flag: "prefix-base-locale",
+      message: "Prefix URLs of the base language too (/en/about vs /about)?",
+      initial: true,
+    },
+  ],
+  defaults: {
+    languages: ["en", "vi"],
+    baseLocale: ({ languages }) =>
+      languages.includes("en") ? "en" : languages[0],
+    prefixBaseLocale: true,
+  },
+  links: [["Inlang", "https://inlang.com"]],
+
+  validate({ languages = ["en"], baseLocale = "en" }) {
+    return languages.includes(baseLocale)
+      ? true
+      : `Base locale "${baseLocale}" is not one of the selected languages`;
+  },
+
+  packageJson(pkg) {
+    pkg.scripts["machine-translate"] =
+      "inlang machine translate --project project.inlang";
+  },
+
+  vitePlugins: ({
+    languages = ["en"],
+    baseLocale = "en",
+    prefixBaseLocale = true,
+  }) => [
+    {
+      pre: true,
+      import: "import { paraglideVitePlugin } from '@inlang/paraglide-js'",
+      code: `paraglideVitePlugin({
+      project: "./project.inlang",
+      outdir: "./src/paraglide",
+      outputStructure: "message-modules",
+      cookieName: "PARAGLIDE_LOCALE",
+      strategy: ["url", "cookie", "preferredLanguage", "baseLocale"],
+      urlPatterns: ${getUrlPatterns(languages, baseLocale, prefixBaseLocale)},
+    })`,
+    },
+  ],
+
+  slots: () => SLOTS,
+
+  patch(file, content) {
+    if (file !== "src/routes/index.tsx" || content.includes("<LocaleSwitcher />")) {
+      return content;
+    }
+    return INDEX_PATCHES.reduce((patched, apply) => patched && apply(patched), content);
+  },
+
+  generate(out, { languages = ["en"], baseLocale = "en" }) {
+    createI18nSetup(out, languages, baseLocale);
+  },
+
+  // The paraglide runtime is generated, compile it before opening the editor
+  nextSteps: ({ packageManager }) => [
+    getExecCommand(
+      packageManager,
+      "paraglide-js compile --project ./project.inlang --outdir ./src/paraglide",
+    ),
+  ],
+
+  detect({ deps, readJson, readFile }) {
+    if (!deps["@inlang/paraglide-js"]) return false;
+    const settings = readJson("project.inlang/settings.json");
+    if (!settings) return true;
+
+    const { locales: languages, baseLocale } = settings;
+    const unprefixed = `["${baseLocale}", "/:path(.*)?"]`;
+    return {
+      languages,
+      baseLocale,
+      prefixBaseLocale: !readFile("vite.config.ts")?.includes(unprefixed),
+    };
+  },
+};
@@ -0,0 +1,265 @@
+import fs from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import animation from "./animation.js";
+import auth from "./auth.js";
+import data from "./data.js";
+import database from "./database.js";
+import deploy from "./deploy.js";
+import docker from "./docker.js";
+import form from "./form.js";
+import i18n from "./i18n.js";
+import quality from "./quality.js";
+import state from "./state.js";
+import testing from "./testing.js";
+import ui from "./ui.js";
+import validator from "./validator.js";
+
+/**
+ * A feature, built in or loaded from a plugin. Only `key`, `name` and
+ * `description` are required; every hook is optional and receives the
+ * answers of the current run (`ctx`), including `features`.
+ *
+ * @typedef {object} Feature
+ * @property {string} key Unique key used in `--features` and presets
+ * @property {string} name Title shown in the features prompt
+ * @property {string} description Description shown in the features prompt
+ * @property {string[]} [packages] Dependencies added to package.json
+ * @property {string[]} [devPackages] Dev dependencies added to package.json
+ * @property {Record<string, string>} [versions] Version ranges for packages
+ *   missing from the built-in manifest (src/versions.js); "latest" otherwise
+ * @property {object[]} [prompts] Follow-up `prompts` questions, asked only
+ *   when the feature is selected. A question may set `flag` to be answerable
+ *   from the command line (`--<flag>`)
+ * @property {object} [defaults] Answers for the follow-up prompts with --yes
+ * @property {string[]} [requires] Features added automatically with this one
+ * @property {string[]} [enhances] Features this one integrates with; a
+ *   notice mentions them when none is selected
+ * @property {string[]} [conflicts] Features that can't be selected together
+ *   with this one
+ * @property {[string, string][]} [links] README "Learn More" links
+ * @property {(ctx: object) => true | string} [validate] Check the answers
+ *   once all prompts are done
+ * @property {(pkg: object, ctx: object) => void} [packageJson] Adjust the
+ *   generated package.json
+ * @property {(ctx: object) => {import: string, code: string, pre?: boolean}[]} [vitePlugins]
+ *   Plugins added to vite.config.ts, before the TanStack Start plugins when
+ *   `pre` is set
+ * @property {string[]} [tsTypes] Entries added to `types` in tsconfig.json
+ * @property {(ctx: object) => string[]} [gitignore] Lines added to .gitignore
+ * @property {(ctx: object) => EnvVar[]} [env] Environment variables the
+ *   feature's code reads, for .env.example, src/env.ts and wrangler.jsonc
+ * @property {(ctx: object) => object} [composeServices] Local services (e.g. a
+ *   database) added to docker-compose.yml with the `docker` feature. An `app`
+ *   entry is merged into the app service, e.g. for its `environment`
+ * @property {(ctx: object) => object} [wrangler] Settings (e.g. bindings)
+ *   added to wrangler.jsonc with the Cloudflare deployment target
+ * @property {(ctx: object) => Object<string, Object<string, SlotEntry[]>>} [slots]
+ *   Code for the slots of the base templates, by file and slot name (see
+ *   src/template.js): `imports` and `middleware` in src/server.ts,
+ *   `imports` and `routerOptions` in src/router.tsx, `imports`,
+ *   `routeOptions`, `documentHooks`, `htmlAttributes`, `head`, `providers`,
+ *   `document` and `body` in src/routes/__root.tsx and `imports` in
+ *   src/routes/index.tsx. `add` puts them in edited files too.
+ * @property {(file: string, content: string, ctx: object) => string | null} [patch]
+ *   Apply what the feature changes in a base template besides its slots
+ *   (e.g. `{{#if}}` blocks) to an edited file (`add` command); null when the
+ *   file can't be patched
+ * @property {(out: object, ctx: object) => void} [generate] Write the
+ *   feature's files to the project output
+ * @property {(ctx: object) => string[]} [nextSteps] Commands listed in the
+ *   "Next steps" message, run after installing and before starting the app
+ * @property {(project: {deps: object, root: string, readJson: Function, readFile: Function}) => boolean | object} [detect]
+ *   Whether an existing project uses the feature, optionally with the
+ *   answers it was created with
+ */
+
+/**
+ * An environment variable a feature needs. Names starting with `VITE_` are
+ * public and bundled into the client, the others stay on the server.
+ *
+ * @typedef {object} EnvVar
+ * @property {string} name Variable name
+ * @property {string} description Comment above it in .env.example
+ * @property {string} [example] Value in .env.example, else the default
+ * @property {string} [default] Value when unset, which makes it optional
+ * @property {string} [devDefault] Value when unset outside production; in
+ *   production it is required
+ * @property {boolean} [optional] May be unset
+ * @property {number} [minLength] Fewest characters the validator schema
+ *   accepts
+ * @property {boolean} [secret] Listed in .dev.vars.example instead of the
+ *   `vars` of wrangler.jsonc on Cloudflare
+ * @property {boolean} [app] false for variables only tools read (Nitro,
+ *   drizzle-kit), which src/env.ts doesn't check
+ */
+
+/**
+ * Code a feature puts in a template slot. Entries render in registry order,
+ * the ones flagged `first` before the others. Multi-line code is indented
+ * to the slot; `providers` and `document` entries are opening tags, with
+ * `close` when the closing tag can't be derived from them.
+ *
+ * @typedef {string | {code: string, first?: boolean, close?: string}} SlotEntry
+ */
+
+export const BUILTIN_FEATURES = [
+  i18n,
+  ui,
+  state,
+  data,
+  auth,
+  form,
+  validator,
+  animation,
+  testing,
+  quality,
+  deploy,
+  database,
+  docker,
+];
+
+// Registered features by key, in the order they are offered and applied
+export const FEATURES = {};
+
+export function registerFeature(feature, source = "built-in") {
+  if (!feature || typeof feature !== "object") {
+    throw new Error(`Plugin ${source} does not export a feature`);
+  }
+  for (const field of ["key", "name", "description"]) {
+    if (typeof feature[field] !== "string" || !feature[field]) {
+      throw new Error(`Feature from ${source} is missing "${field}"`);
+    }
+  }
+  if (!/^[a-z0-9-]+$/i.test(feature.key)) {
+    throw new Error(
+      `Feature key "${feature.key}" from ${source} can only contain letters, numbers and dashes`,
+    );
+  }
+  if (FEATURES[feature.key]) {
+    throw new Error(`Feature "${feature.key}" from ${source} is already registered`);
+  }
+
+  FEATURES[feature.key] = {
+    packages: [],
+    devPackages: [],
+    prompts: [],
+    defaults: {},
+    links: [],
+    requires: [],
+    enhances: [],
+    conflicts: [],
+    ...feature,
+  };
+}
+
+BUILTIN_FEATURES.forEach((feature) => registerFeature(feature));
+
+// Registered features for the given keys, in registry order
+export function getFeatures(keys) {
+  return Object.values(FEATURES).filter((feature) => keys.includes(feature.key));
+}
+
+/**
+ * Apply the `requires`, `enhances` and `conflicts` rules to a selection.
+ * Returns the selection plus its required features (in registry order), the
+ * features added with the one that required them, the features whose
+ * enhanced features are all missing, and the conflicting pairs.
+ */
+export function resolveFeatures(keys) {
+  const selected = new Set(keys);
+  const added = [];
+
+  const queue = [...keys];
+  while (queue.length > 0) {
+    const key = queue.shift();
+    for (const required of FEATURES[key]?.requires ?? []) {
+      if (selected.has(required)) continue;
+      if (!FEATURES[required]) {
+        throw new Error(
+          `Feature "${key}" requires "${required}", which is not registered`,
+        );
+      }
+      selected.add(required);
+      added.push({ key: required, requiredBy: key });
+      queue.push(required);
+    }
+  }
+
+  const features = getFeatures([...selected]);
+  const ineffective = features.filter(
+    (feature) =>
+      feature.enhances.length > 0 &&
+      !feature.enhances.some((key) => selected.has(key)),
+  );
+
+  // A conflict may be declared on either side, report each pair once
+  const conflicts = [];
+  const seen = new Set();
+  for (const feature of features) {
+    for (const key of feature.conflicts) {
+      const pair = [feature.key, key].sort().join();
+      if (!selected.has(key) || seen.has(pair)) continue;
+      seen.add(pair);
+      conflicts.push([feature.key, key]);
+    }
+  }
+
+  return {
+    features: features.map((feature) => feature.key),
+    added,
+    ineffective: ineffective.map((feature) => feature.key),
+    conflicts,
+  };
+}
+
+function resolvePlugin(specifier, cwd) {
+  if (/^(\.|\/|[a-z]:\\)/i.test(specifier)) {
+    return path.resolve(cwd, specifier);
+  }
+
+  try {
+    return createRequire(path.join(cwd, "noop.js")).resolve(specifier);
+  } catch {
+    // ESM-only packages can't be resolved through require, read the manifest
+  }
+
+  for (let dir = cwd; ; dir = path.dirname(dir)) {
+    const pkgDir = path.join(dir, "node_modules", specifier);
+    const manifest = path.join(pkgDir, "package.json");
+    if (fs.existsSync(manifest)) {
+      const pkg = JSON.parse(fs.readFileSync(manifest, "utf-8"));
+      const exported = pkg.exports?.["."] ?? pkg.exports;
+      const entry =
+        typeof exported === "string"
+          ? exported
+          : exported?.import ?? exported?.default ?? pkg.module ?? pkg.main;
+      return path.join(pkgDir, entry || "index.js");
+    }
+    if (dir === path.dirname(dir)) break;
+  }
+
+  throw new Error(`Cannot find plugin "${specifier}"`);
+}
+
+// Resolved plugin files already imported, so a plugin named both in a config
+// file and on the command line is only registered once
+const loadedPlugins = new Set();
+
+/**
+ * Import feature plugins (paths or package names resolved from `cwd`) and
+ * register the features they export. A plugin's default export may be a
+ * single feature or an array of them.
+ */
+export async function loadPlugins(specifiers, cwd = process.cwd()) {
+  for (const specifier of specifiers) {
+    const file = resolvePlugin(specifier, cwd);
+    if (loadedPlugins.has(file)) continue;
+    loadedPlugins.add(file);
+
+    const mod = await import(pathToFileURL(file).href);
+    const exported = mod.default ?? mod.feature ?? mod.features;
+    [].concat(exported).forEach((feature) => registerFeature(feature, specifier));
+  }
+}
@@ -0,0 +1,52 @@
+import {
+  LINTERS,
+  SCRIPT_FILES,
+  createQualitySetup,
+  getLinter,
+} from "../setup/quality.js";
+import { getVersion } from "../versions.js";
+
+export default {
+  key: "quality",
+  name: "Code Quality",
+  description: "Biome or ESLint + Prettier, with Husky + lint-staged",
+  devPackages: ["husky", "lint-staged"],
+  prompts: [
+    {
+      type: "select",
+      name: "linter",
+      flag: "linter",
+      message: "Select lint/format toolchain:",
+      choices: Object.entries(LINTERS).map(([value, linter]) => ({
+        title: linter.name,
+        value,
+      })),
+    },
+  ],
+  defaults: { linter: "biome" },
+
+  packageJson(pkg, ctx) {
+    const linter = getLinter(ctx.linter);
+    linter.devPackages(ctx).forEach((p) => {
+      pkg.devDependencies[p] = getVersion(p, ctx);
+    });
+    Object.assign(pkg.scripts, linter.scripts);
+    pkg.scripts.prepare = "husky";
+    pkg["lint-staged"] = structuredClone(linter.lintStaged);
+    // Run the tests covering the staged files when there are tests
+    if (ctx.features.includes("testing")) {
+      pkg["lint-staged"][SCRIPT_FILES].push("vitest related --run");
+    }
+  },
+
+  generate(out, ctx) {
+    createQualitySetup(out, ctx);
+  },
+
+  detect({ deps }) {
+    if (!["husky", "lint-staged", "@biomejs/biome"].some((p) => p in deps)) {
+      return false;
+    }
+    return { linter: deps.eslint ? "eslint" : "biome" };
+  },
+};
@@ -0,0 +1,56 @@
+import { STATE_LIBS, createStateSetup } from "../setup/state.js";
+import { getVersion } from "../versions.js";
+
+// The root route wraps its Outlet in the StateProvider
+const SLOTS = {
+  "src/routes/__root.tsx": {
+    imports: [`import { StateProvider } from '../store/StateProvider'`],
+    providers: ["<StateProvider>"],
+  },
+};
+
+export default {
+  key: "state",
+  name: "State Management",
+  description: "Choose Jotai, Zustand or TanStack Store for state management",
+  prompts: [
+    {
+      type: "multiselect",
+      name: "stateLibs",
+      flag: "state",
+      message: "Select state management library:",
+      choices: Object.entries(STATE_LIBS).map(([value, lib]) => ({
+        title: lib.name,
+        value,
+        selected: value === "jotai",
+      })),
+      hint: "- Space to select. Return to submit",
+      validate: (value) =>
+        !value || value.length === 0
+          ? "Please select at least one state library"
+          : true,
+    },
+  ],
+  defaults: { stateLibs: ["jotai"] },
+
+  packageJson(pkg, ctx) {
+    const { stateLibs = ["jotai"] } = ctx;
+    stateLibs.forEach((key) => {
+      const { package: name } = STATE_LIBS[key];
+      pkg.dependencies[name] = getVersion(name, ctx);
+    });
+  },
+
+  slots: () => SLOTS,
+
+  generate(out, { features, stateLibs = ["jotai"] }) {
+    createStateSetup(out, { stateLibs, withUI: features.includes("ui") });
+  },
+
+  detect({ deps }) {
+    const stateLibs = Object.keys(STATE_LIBS).filter(
+      (key) => STATE_LIBS[key].package in deps,
+    );
+    return stateLibs.length > 0 && { stateLibs };
+  },
+};
@@ -0,0 +1,61 @@
+import { getExecCommand } from "../package-manager.js";
+import { createTestingSetup } from "../setup/testing.js";
+import { getVersion } from "../versions.js";
+
+export default {
+  key: "testing",
+  name: "Testing Setup",
+  description: "Vitest + Testing Library, optional Playwright end-to-end tests",
+  // vitest.config.ts imports the React and tsconfig paths plugins itself
+  devPackages: [
+    "@testing-library/dom",
+    "@testing-library/jest-dom",
+    "@testing-library/react",
+    "@testing-library/user-event",
+    "@vitest/coverage-v8",
+    "@vitest/ui",
+    "vitest",
+    "jsdom",
+    "@vitejs/plugin-react",
+    "vite-tsconfig-paths",
+  ],
+  tsTypes: ["vitest/globals", "@testing-library/jest-dom"],
+  prompts: [
+    {
+      type: "confirm",
+      name: "e2e",
+      flag: "e2e",
+      message: "Add Playwright end-to-end tests?",
+      initial: false,
+    },
+  ],
+  defaults: { e2e: false },
+  links: [["Vitest", "https://vitest.dev"]],
+
+  packageJson(pkg, ctx) {
+    pkg.scripts.test = "vitest run";
+    pkg.scripts["test:watch"] = "vitest";
+    pkg.scripts["test:ui"] = "vitest --ui";
+    pkg.scripts["test:coverage"] = "vitest run --coverage";
+    if (ctx.e2e) {
+      pkg.devDependencies["@playwright/test"] = getVersion("@playwright/test", ctx);
+      pkg.scripts["test:e2e"] = "playwright test";
+    }
+  },
+
+  generate(out, ctx) {
+    createTestingSetup(out, ctx);
+  },
+
+  gitignore: ({ e2e }) => [
+    "coverage",
+    ...(e2e ? ["test-results", "playwright-report", "blob-report"] : []),
+  ],
+
+  // Playwright downloads its browsers separately from the package
+  nextSteps: ({ e2e, packageManager }) =>
+    e2e ? [getExecCommand(packageManager, "playwright install chromium")] : [],
+
+  // Some of the dev packages are core ones, vitest is what sets it apart
+  detect: ({ deps }) => "vitest" in deps && { e2e: "@playwright/test" in deps },
+};
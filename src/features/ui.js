@@ -0,0 +1,122 @@
+import { BASE_COLORS, RADII, UI_COMPONENTS, createUISetup } from "../setup/ui.js";
+import { getVersion } from "../versions.js";
+
+// The root route reads the theme from its cookie in the loader and renders
+// it on <html>, so the server sends the right one
+const getSlots = ({ uiComponents = [] }) => {
+  const withToaster = uiComponents.includes("sonner");
+  return {
+    "src/routes/__root.tsx": {
+      imports: [
+        "import { ThemeProvider, ThemeScript } from '../components/theme-provider'",
+        "import { ThemeToggle } from '../components/theme-toggle'",
+        ...(withToaster ? ["import { Toaster } from '../components/sonner'"] : []),
+        "import { getTheme } from '../server/theme'",
+      ],
+      routeOptions: [
+        `// Read once, the ThemeProvider keeps the theme in the browser afterwards
+loader: () => getTheme(),
+shouldReload: false,`,
+      ],
+      documentHooks: ["const theme = Route.useLoaderData()"],
+      htmlAttributes: [
+        "className={theme === 'dark' ? 'dark' : undefined}",
+        "suppressHydrationWarning",
+      ],
+      head: ["<ThemeScript theme={theme} />"],
+      document: ["<ThemeProvider theme={theme}>"],
+      body: [
+        '<ThemeToggle className="fixed right-4 top-4" />',
+        ...(withToaster ? ["<Toaster />"] : []),
+      ],
+    },
+  };
+};
+
+export default {
+  key: "ui",
+  name: "UI Components",
+  description: "Radix UI + Tailwind CSS + shadcn/ui",
+  packages: [
+    "@radix-ui/react-label",
+    "@radix-ui/react-slot",
+    "class-variance-authority",
+    "clsx",
+    "tailwind-merge",
+    "lucide-react",
+  ],
+  devPackages: ["@tailwindcss/vite", "tailwindcss", "tw-animate-css"],
+  prompts: [
+    {
+      type: "multiselect",
+      name: "uiComponents",
+      flag: "ui-components",
+      message: "Select extra components (button, card, input and label are included):",
+      choices: Object.entries(UI_COMPONENTS).map(([value, component]) => ({
+        title: component.name,
+        value,
+      })),
+      hint: "- Space to select. Return to submit",
+    },
+    {
+      type: "select",
+      name: "uiBaseColor",
+      flag: "base-color",
+      message: "Select base color:",
+      choices: Object.keys(BASE_COLORS).map((value) => ({
+        title: value[0].toUpperCase() + value.slice(1),
+        value,
+      })),
+    },
+    {
+      type: "select",
+      name: "uiRadius",
+      flag: "radius",
+      message: "Select border radius:",
+      choices: RADII.map((value) => ({ title: `${value}rem`, value })),
+      initial: RADII.indexOf("0.625"),
+    },
+  ],
+  defaults: { uiComponents: [], uiBaseColor: "neutral", uiRadius: "0.625" },
+  links: [
+    ["Tailwind CSS", "https://tailwindcss.com"],
+    ["Radix UI", "https://radix-ui.com"],
+  ],
+
+  packageJson(pkg, ctx) {
+    const { uiComponents = [] } = ctx;
+    uiComponents
+      .flatMap((key) => UI_COMPONENTS[key].packages)
+      .forEach((name) => {
+        pkg.dependencies[name] = getVersion(name, ctx);
+      });
+  },
+
+  vitePlugins: () => [
+    {
+      import: "import tailwindcss from '@tailwindcss/vite'",
+      code: "tailwindcss()",
+    },
+  ],
+
+  slots: getSlots,
+
+  generate(out, ctx) {
+    createUISetup(out, ctx);
+  },
+
+  detect({ deps, readFile, readJson }) {
+    if (!("@tailwindcss/vite" in deps)) return false;
+    const uiComponents = Object.keys(UI_COMPONENTS).filter(
+      (key) => readFile(`src/components/${key}.tsx`) !== null,
+    );
+    const radius = readFile("src/styles/app.css")?.match(
+      /--radius: ([\d.]+)rem;/,
+    )?.[1];
+    return {
+      uiComponents,
+      uiBaseColor: readJson("components.json")?.tailwind?.baseColor ?? "neutral",
+      uiRadius: RADII.includes(radius) ? radius : "0.625",
+    };
+  },
+};
@@ -0,0 +1,40 @@
+import { getVersion } from "../versions.js";
+
+const VALIDATOR_PACKAGES = {
+  zod: ["zod"],
+  arktype: ["arktype"],
+};
+
+export default {
+  key: "validator",
+  name: "Validation",
+  description: "Zod or ArkType for schema validation",
+  prompts: [
+    {
+      type: "select",
+      name: "validatorLib",
+      flag: "validator",
+      message: "Select validation library:",
+      choices: [
+        { title: "Zod", value: "zod" },
+        { title: "ArkType", value: "arktype" },
+      ],
+      initial: 0,
+    },
+  ],
+  defaults: { validatorLib: "zod" },
+  enhances: ["form"],
+
+  packageJson(pkg, ctx) {
+    (VALIDATOR_PACKAGES[ctx.validatorLib] || []).forEach((p) => {
+      pkg.dependencies[p] = getVersion(p, ctx);
+    });
+  },
+
+  detect({ deps }) {
+    const validatorLib = Object.keys(VALIDATOR_PACKAGES).find(
+      (lib) => lib in deps,
+    );
+    return Boolean(validatorLib) && { validatorLib };
+  },
+};
@@ -0,0 +1,52 @@
+import { FEATURES, getFeatures } from "./features/index.js";
+import { createOutput } from "./output.js";
+import { generatePackageJson } from "./generators/package.js";
+import { createReadme } from "./generators/readme.js";
+import { createConfigFiles, getGitignore } from "./generators/config.js";
+import { createMonorepo } from "./generators/monorepo.js";
+import { createBaseStructure } from "./setup/base.js";
+
+/**
+ * Render a whole project for the given answers into an in-memory output.
+ * Nothing touches the disk until the caller flushes it.
+ */
+export function generateProject(answers) {
+  // Keep a stable feature order so the same answers render the same files
+  const selected = answers.features || [];
+  const features = Object.keys(FEATURES).filter((key) => selected.includes(key));
+  const ctx = { ...answers, features };
+  const out = createOutput();
+
+  // Generate package.json
+  out.writeJson("package.json", generatePackageJson(ctx));
+
+  // Create base structure
+  createBaseStructure(out, ctx);
+
+  // Create feature-specific files
+  for (const feature of getFeatures(features)) {
+    feature.generate?.(out.scope(feature.key), ctx);
+  }
+
+  // Create config files
+  createConfigFiles(out, ctx);
+
+  // Create README
+  createReadme(out, ctx.projectName, features, ctx.packageManager);
+
+  if (ctx.initGit) {
+    out.scope("git").write(".gitignore", getGitignore(ctx));
+  }
+
+  return out;
+}
+
+/**
+ * Render the project inside a workspace: the app in apps/web next to the
+ * shared packages, see generators/monorepo.js.
+ */
+export function generateMonorepo(answers) {
+  const app = generateProject(answers);
+  const features = Object.keys(FEATURES).filter((key) => answers.features?.includes(key));
+  return createMonorepo(app, { ...answers, features });
+}
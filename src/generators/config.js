@@ -1,76 +1,67 @@
-import fs from "node:fs";
-import path from "node:path";
-
-export function getGitignore() {
-  return `node_modules
-dist
-.vinxi
-.output
-.vercel
-.netlify
-.wrangler
-.env
-.DS_Store
-`;
+import { getFeatures } from "../features/index.js";
+import { getEnvExample, getEnvModule } from "./env.js";
+
+// Entries every project gets, .tanstack holds the Start plugin's temp files
+const CORE_GITIGNORE = ["node_modules", "dist", ".vinxi", ".output", ".tanstack", ".env", ".DS_Store"];
+
+// Base entries plus those of the selected features
+export const getGitignoreEntries = (ctx) => [
+  ...CORE_GITIGNORE,
+  ...getFeatures(ctx.features).flatMap((feature) => feature.gitignore?.(ctx) || []),
+];
+
+export function getGitignore(ctx) {
+  return getGitignoreEntries(ctx)
+    .map((entry) => `${entry}\n`)
+    .join("");
 }
 
-function getViteConfig(features) {
-  const imports = [
-    "import { cloudflare } from '@cloudflare/vite-plugin'",
-    "import { paraglideVitePlugin } from '@inlang/paraglide-js'",
-    "import tailwindcss from '@tailwindcss/vite'",
-    "import { tanstackStart } from '@tanstack/react-start/plugin/vite'",
-    "import viteReact from '@vitejs/plugin-react'",
-    "import { defineConfig } from 'vite'",
-    "import viteTsConfigPaths from 'vite-tsconfig-paths'",
-  ];
-
-  const plugins = [];
+const moduleOf = (imp) => imp.match(/from '([^']+)'/)[1];
 
-  if (features.includes("i18n")) {
-    plugins.push(`paraglideVitePlugin({
-      project: "./project.inlang",
-      outdir: "./src/paraglide",
-      outputStructure: "message-modules",
-      cookieName: "PARAGLIDE_LOCALE",
-      strategy: ["url", "cookie", "preferredLanguage", "baseLocale"],
-      urlPatterns: [
-        {
-          pattern: "/:path(.*)?",
-          localized: [
-            ["vi", "/vi/:path(.*)?"],
-            ["en", "/en/:path(.*)?"],
-          ],
-        },
-      ],
-    })`);
-  }
-
-  plugins.push("viteTsConfigPaths()");
-  plugins.push("tanstackStart()");
-  plugins.push("viteReact()");
-
-  if (features.includes("ui")) {
-    plugins.push("tailwindcss()");
-  }
+// Plugins every project gets
+const CORE_VITE_PLUGINS = [
+  {
+    import: "import viteTsConfigPaths from 'vite-tsconfig-paths'",
+    code: "viteTsConfigPaths()",
+  },
+  {
+    import: "import { tanstackStart } from '@tanstack/react-start/plugin/vite'",
+    code: "tanstackStart()",
+  },
+  {
+    import: "import viteReact from '@vitejs/plugin-react'",
+    code: "viteReact()",
+  },
+];
+
+/**
+ * Vite plugins for the selected features, in the order they must run.
+ * Plugins flagged `pre` go before the core plugins, the rest after them.
+ */
+export function getVitePlugins(ctx) {
+  const featurePlugins = getFeatures(ctx.features).flatMap(
+    (feature) => feature.vitePlugins?.(ctx) || [],
+  );
 
-  if (features.includes("deploy")) {
-    plugins.push("cloudflare({ viteEnvironment: { name: 'ssr' } })");
-  }
+  return [
+    ...featurePlugins.filter((plugin) => plugin.pre),
+    ...CORE_VITE_PLUGINS,
+    ...featurePlugins.filter((plugin) => !plugin.pre),
+  ];
+}
 
-  // Filter out unused imports
-  const usedImports = imports.filter((imp) => {
-    if (imp.includes("cloudflare") && !features.includes("deploy")) return false;
-    if (imp.includes("paraglide") && !features.includes("i18n")) return false;
-    if (imp.includes("tailwindcss") && !features.includes("ui")) return false;
-    return true;
-  });
+export function getViteConfig(ctx) {
+  const plugins = getVitePlugins(ctx);
+  const imports = [
+    ...plugins.map((plugin) => plugin.import),
+    "import { defineConfig } from 'vite'",
+  ].sort((a, b) => (moduleOf(a) < moduleOf(b) ? -1 : 1));
 
-  return `${usedImports.join("\n")}
+  return `${imports.join("\n")}
 
 export default defineConfig({
   plugins: [
-    ${plugins.join(",\n    ")}
+    ${plugins.map((plugin) => plugin.code).join(",\n    ")}
   ],
   build: {
     rollupOptions: {
@@ -92,10 +83,14 @@ export default defineConfig({
 `;
 }
 
-export function createConfigFiles(root, features, projectName) {
+export function createConfigFiles(out, ctx) {
+  const types = getFeatures(ctx.features).flatMap(
+    (feature) => feature.tsTypes || [],
+  );
+
   // tsconfig.json
-  fs.writeFileSync(
-    path.join(root, "tsconfig.json"),
+  out.write(
+    "tsconfig.json",
     JSON.stringify(
       {
         include: ["**/*.ts", "**/*.tsx"],
@@ -116,9 +111,7 @@ export function createConfigFiles(root, features, projectName) {
           paths: {
             "@/*": ["./src/*"],
           },
-          types: features.includes("testing")
-            ? ["vitest/globals", "@testing-library/jest-dom"]
-            : [],
+          types,
           noEmit: true,
         },
       },
@@ -128,47 +121,9 @@ export function createConfigFiles(root, features, projectName) {
   );
 
   // vite.config.ts
-  fs.writeFileSync(path.join(root, "vite.config.ts"), getViteConfig(features));
+  out.write("vite.config.ts", getViteConfig(ctx));
 
-  // tailwind.config.ts (if UI is selected)
-  if (features.includes("ui")) {
-    fs.writeFileSync(
-      path.join(root, "tailwind.config.ts"),
-      `import type { Config } from 'tailwindcss'
-
-export default {
-  content: ['./src/**/*.{js,jsx,ts,tsx}'],
-  theme: {
-    extend: {},
-  },
-  plugins: [],
-} satisfies Config
-`,
-    );
-  }
-
-  // .env.example
-  fs.writeFileSync(
-    path.join(root, ".env.example"),
-    `VITE_APP_TITLE="My TanStack App"`,
-  );
-
-  // wrangler.jsonc (if deploy feature is selected)
-  if (features.includes("deploy")) {
-    fs.writeFileSync(
-      path.join(root, "wrangler.jsonc"),
-      JSON.stringify(
-        {
-          $schema: "node_modules/wrangler/config-schema.json",
-          name: projectName,
-          compatibility_date: "2025-02-14",
-          compatibility_flags: ["nodejs_compat"],
-          main: "./src/server.ts",
-          vars: {},
-        },
-        null,
-        2,
-      ),
-    );
-  }
+  // The variables the features need, documented and checked at startup
+  out.write(".env.example", getEnvExample(ctx));
+  out.write("src/env.ts", getEnvModule(ctx));
 }
@@ -0,0 +1,225 @@
+import { getFeatures } from "../features/index.js";
+
+// Variables every project gets
+const CORE_ENV = [
+  {
+    name: "VITE_APP_TITLE",
+    description: "Page title. VITE_ variables are public, Vite bundles them into the client",
+    default: "My TanStack App",
+  },
+];
+
+const isClient = (variable) => variable.name.startsWith("VITE_");
+const isOptional = (variable) =>
+  variable.optional || variable.default !== undefined;
+
+/**
+ * Environment variables of the project: the core ones plus those the
+ * selected features declare.
+ */
+export const getEnvVars = (ctx) => [
+  ...CORE_ENV,
+  ...getFeatures(ctx.features).flatMap((feature) => feature.env?.(ctx) || []),
+];
+
+// Variables src/env.ts checks, the others are only read by tools such as
+// drizzle-kit or the Nitro server
+const getAppVars = (ctx) =>
+  getEnvVars(ctx).filter((variable) => variable.app !== false);
+
+// A string literal in the generated TypeScript
+const literal = (value) => `'${value.replace(/['\\]/g, "\\$&")}'`;
+
+const quote = (value) => (/[\s#"']/.test(value) ? JSON.stringify(value) : value);
+
+export function getEnvExample(ctx) {
+  const lines = getEnvVars(ctx).flatMap((variable) => [
+    `# ${variable.description}`,
+    `${variable.name}=${quote(variable.example ?? variable.default ?? "")}`,
+  ]);
+  return `# Copy this file to .env for local development, in production set the
+# variables in your host's settings
+
+${lines.join("\n")}
+`;
+}
+
+/**
+ * Server variables for Cloudflare: plain values for the `vars` of
+ * wrangler.jsonc, and the names of the secrets listed in .dev.vars.example.
+ * Both end up in the types `wrangler types` generates.
+ */
+export function getWorkerVars(ctx) {
+  const server = getAppVars(ctx).filter((variable) => !isClient(variable));
+  return {
+    vars: Object.fromEntries(
+      server
+        .filter((variable) => !variable.secret)
+        .map((variable) => [variable.name, variable.example ?? variable.default ?? ""]),
+    ),
+    secrets: server.filter((variable) => variable.secret),
+  };
+}
+
+// Schema entries per validator library, by what a variable allows
+const SCHEMAS = {
+  zod: {
+    import: "import { z } from 'zod'",
+    required: (min) => `z.string({ error: 'Required' })${min ? `.min(${min})` : ""}`,
+    optional: (min) => `z.string()${min ? `.min(${min})` : ""}.optional()`,
+    default: (value, min) => `z.string()${min ? `.min(${min})` : ""}.default(${literal(value)})`,
+    key: (name) => name,
+    object: (entries) => (entries ? `z.object({\n${entries}\n})` : "z.object({})"),
+    type: (schema) => `z.infer<typeof ${schema}>`,
+    parse: `function parse<T extends z.ZodType>(schema: T, source: Source): z.infer<T> {
+  const result = schema.safeParse(definedOnly(source))
+  if (!result.success) {
+    fail(result.error.issues.map((issue) => \`\${issue.path.join('.')}: \${issue.message}\`))
+  }
+  return result.data
+}`,
+  },
+  arktype: {
+    import: "import { type } from 'arktype'",
+    required: (min) => (min ? `'string >= ${min}'` : "'string'"),
+    optional: (min) => (min ? `'string >= ${min}'` : "'string'"),
+    default: (value, min) =>
+      JSON.stringify(
+        `string${min ? ` >= ${min}` : ""} = ${JSON.stringify(value).replace(/"/g, "'")}`,
+      ),
+    key: (name, optional) => (optional ? `'${name}?'` : name),
+    // Undeclared keys are dropped, process.env holds much more
+    object: (entries) => `type({\n  '+': 'delete',${entries ? `\n${entries}` : ""}\n})`,
+    type: (schema) => `typeof ${schema}.infer`,
+    parse: `function parse<T extends type.Any>(schema: T, source: Source): T['infer'] {
+  const result = schema(definedOnly(source))
+  if (result instanceof type.errors) fail(result.map((error) => error.message))
+  return result
+}`,
+  },
+};
+
+const getSchemaEntry = (schemas, variable) => {
+  const value =
+    variable.default !== undefined
+      ? schemas.default(variable.default, variable.minLength)
+      : variable.optional
+        ? schemas.optional(variable.minLength)
+        : schemas.required(variable.minLength);
+  // Optional keys are marked on the key with ArkType, on the value otherwise
+  const key = schemas.key(
+    variable.name,
+    variable.optional && variable.default === undefined,
+  );
+  return `  // ${variable.description}\n  ${key}: ${value},`;
+};
+
+// Without a validator library: the required names, the defaults and a
+// type for each set of variables
+const getBuiltinChecks = (variables, name) => `type ${name}Env = ${
+  variables.length > 0
+    ? `{
+${variables
+  .map(
+    (variable) =>
+      `  /** ${variable.description} */\n  ${variable.name}${variable.optional && variable.default === undefined ? "?" : ""}: string`,
+  )
+  .join("\n")}
+}`
+    : "Record<string, never>"
+}
+
+const ${name.toLowerCase()}Vars = {
+  names: [${variables.map((variable) => `'${variable.name}'`).join(", ")}],
+  required: [${variables
+    .filter((variable) => !isOptional(variable))
+    .map((variable) => `'${variable.name}'`)
+    .join(", ")}],
+  defaults: {${variables
+    .filter((variable) => variable.default !== undefined)
+    .map((variable) => ` ${variable.name}: ${literal(variable.default)}`)
+    .join(",")}${variables.some((variable) => variable.default !== undefined) ? " " : ""}},
+}`;
+
+const BUILTIN_PARSE = `type Vars = { names: string[]; required: string[]; defaults: Record<string, string> }
+
+function parse<T>(vars: Vars, source: Source): T {
+  const defined = { ...vars.defaults, ...definedOnly(source) }
+  const missing = vars.required.filter((name) => !(name in defined))
+  if (missing.length > 0) fail(missing.map((name) => \`\${name}: Required\`))
+  return Object.fromEntries(
+    vars.names.filter((name) => name in defined).map((name) => [name, defined[name]]),
+  ) as T
+}`;
+
+const getSchemas = (variables, name, schemas) =>
+  schemas
+    ? `const ${name.toLowerCase()}Schema = ${schemas.object(
+        variables.map((variable) => getSchemaEntry(schemas, variable)).join("\n"),
+      )}`
+    : getBuiltinChecks(variables, name);
+
+/**
+ * src/env.ts: the server and client (VITE_) variables the project reads,
+ * checked with the selected validator library or a small built-in check.
+ * Importing it from the server entry makes a missing variable fail at
+ * startup instead of on first use.
+ */
+export function getEnvModule(ctx) {
+  const variables = getAppVars(ctx);
+  const server = variables.filter((variable) => !isClient(variable));
+  const client = variables.filter(isClient);
+  const devDefaults = server.filter((variable) => variable.devDefault !== undefined);
+  const schemas = ctx.features.includes("validator")
+    ? SCHEMAS[ctx.validatorLib] ?? SCHEMAS.zod
+    : null;
+  const envType = (name) =>
+    schemas ? schemas.type(`${name}Schema`) : `${name[0].toUpperCase()}${name.slice(1)}Env`;
+  const target = (name) => (schemas ? `${name}Schema` : `${name}Vars`);
+
+  return `${schemas ? `${schemas.import}\n\n` : ""}// Server variables, read from process.env and never sent to the browser
+${getSchemas(server, "Server", schemas)}
+
+// Public variables, Vite inlines import.meta.env.VITE_* into the client bundle
+${getSchemas(client, "Client", schemas)}
+
+type Source = Record<string, string | boolean | undefined>
+
+// Empty values, as copied from .env.example, count as unset
+const definedOnly = (source: Source) =>
+  Object.fromEntries(
+    Object.entries(source).filter(([, value]) => typeof value === 'string' && value !== ''),
+  )
+
+function fail(problems: string[]): never {
+  throw new Error(
+    \`Invalid environment variables:\\n\${problems.map((problem) => \`  - \${problem}\`).join('\\n')}\\nSet them in .env (see .env.example) or in your host's settings.\`,
+  )
+}
+
+${schemas ? schemas.parse : BUILTIN_PARSE}
+${
+  devDefaults.length > 0
+    ? `
+// Fallbacks so local development runs without a .env, production has to
+// set these
+const getDevDefaults = (): Source =>
+  process.env.NODE_ENV === 'production'
+    ? {}
+    : {
+${devDefaults.map((variable) => `        ${variable.name}: ${literal(variable.devDefault)},`).join("\n")}
+      }
+`
+    : ""
+}
+const isServer = typeof window === 'undefined'
+
+export const serverEnv = isServer
+  ? parse${schemas ? "" : `<${envType("server")}>`}(${target("server")}, ${devDefaults.length > 0 ? "{ ...getDevDefaults(), ...process.env }" : "process.env"})
+  : // Never read on the client, the browser has no access to these
+    ({} as ${envType("server")})
+
+// Scripts run with tsx have no import.meta.env, only process.env
+export const clientEnv = parse${schemas ? "" : `<${envType("client")}>`}(${target("client")}, import.meta.env ?? process.env)
+`;
+}
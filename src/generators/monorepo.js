@@ -0,0 +1,423 @@
+import { createOutput } from "../output.js";
+import { getRunCommand } from "../package-manager.js";
+import { getVersion } from "../versions.js";
+
+// Where the app and the shared packages live in the workspace
+export const APP_DIR = "apps/web";
+const UI_DIR = "packages/ui";
+const CONFIG_DIR = "packages/config";
+
+// Scripts the root runs in every workspace that has them
+const FAN_OUT_SCRIPTS = ["dev", "build", "start", "lint", "test"];
+
+// Repository-wide files of the app, which belong at the root
+const ROOT_FILES = [".husky/pre-commit", ".editorconfig"];
+
+// Package names are lowercase, project names may not be
+export const getScope = (projectName) => `@${projectName.toLowerCase()}`;
+
+// npm has no workspace: protocol, Yarn classic doesn't either
+const getWorkspaceRange = (packageManager) =>
+  packageManager === "pnpm" ? "workspace:*" : "*";
+
+const IMPORT = /(?:from |import |import\(|mock\()(['"])([^'"]+)\1/g;
+
+// The npm packages a source file imports
+const getImportedPackages = (content) =>
+  [...content.matchAll(IMPORT)]
+    .map((match) => match[2])
+    .filter((spec) => !spec.startsWith(".") && !spec.startsWith("@/") && !spec.startsWith("~"))
+    .map((spec) => spec.split("/").slice(0, spec.startsWith("@") ? 2 : 1).join("/"));
+
+const isSource = (file) => /\.(tsx?|jsx?)$/.test(file);
+
+// The @/ import path of a file in src, e.g. components/button
+const getModule = (file) => file.slice(4).replace(/\.tsx?$/, "");
+
+/**
+ * The UI feature's components and utils that go in the shared package.
+ * Components that use the app's server functions (the theme provider) stay
+ * in the app, together with the ones importing them.
+ */
+function getUIPackageFiles(app) {
+  const candidates = app
+    .files()
+    .filter((entry) => entry.feature === "ui" && /^src\/(components|lib)\//.test(entry.path));
+
+  const kept = new Set(
+    candidates.filter((entry) => entry.content.toString().includes("@/server/")).map((e) => e.path),
+  );
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const entry of candidates) {
+      if (kept.has(entry.path)) continue;
+      const content = entry.content.toString();
+      const importsKept = [...kept].some((file) =>
+        new RegExp(`['"]@/${getModule(file)}['"]`).test(content),
+      );
+      if (importsKept) {
+        kept.add(entry.path);
+        grew = true;
+      }
+    }
+  }
+
+  return candidates.filter((entry) => !kept.has(entry.path));
+}
+
+// Point the app's imports of moved files at the UI package
+const rewriteUIImports = (content, moved, uiName) =>
+  moved.reduce((result, file) => {
+    const module = getModule(file);
+    return result.replace(
+      new RegExp(`(['"])@/${module}\\1`, "g"),
+      (match, quote) => `${quote}${uiName}/${module}${quote}`,
+    );
+  }, content);
+
+// Split the dependencies of the moved files off the app's package.json
+function splitDependencies(appPkg, packageFiles, appFiles) {
+  const used = new Set(packageFiles.flatMap((entry) => getImportedPackages(entry.content.toString())));
+  const stillUsed = new Set(
+    appFiles.filter((entry) => isSource(entry.path)).flatMap((entry) =>
+      getImportedPackages(entry.content.toString()),
+    ),
+  );
+
+  const dependencies = {};
+  for (const name of used) {
+    const version = appPkg.dependencies?.[name];
+    if (!version || name === "react" || name === "react-dom") continue;
+    dependencies[name] = version;
+    if (!stillUsed.has(name)) delete appPkg.dependencies[name];
+  }
+  return dependencies;
+}
+
+const sortKeys = (object) =>
+  Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+
+// Compiler options shared by the app and the packages
+const getBaseTsconfig = () => ({
+  compilerOptions: {
+    strict: true,
+    esModuleInterop: true,
+    jsx: "react-jsx",
+    module: "ESNext",
+    moduleResolution: "Bundler",
+    lib: ["DOM", "DOM.Iterable", "ES2023"],
+    isolatedModules: true,
+    resolveJsonModule: true,
+    skipLibCheck: true,
+    target: "ES2022",
+    forceConsistentCasingInFileNames: true,
+  },
+});
+
+const getTsupConfig = () => `import { defineConfig } from 'tsup'
+
+// One entry per component, shared code is split into chunks. esbuild
+// resolves the @/* alias of tsconfig.json.
+export default defineConfig({
+  entry: ['src/components/**/*.tsx', 'src/lib/**/*.ts'],
+  format: 'esm',
+  dts: true,
+  splitting: true,
+  clean: true,
+})
+`;
+
+// shadcn settings pointing the app's `ui` and `utils` aliases at the package
+const getAppComponentsJson = (componentsJson, uiName) => ({
+  ...componentsJson,
+  aliases: {
+    ...componentsJson.aliases,
+    utils: `${uiName}/lib/utils`,
+    ui: `${uiName}/components`,
+  },
+});
+
+const getTurboJson = (scripts) => ({
+  $schema: "https://turborepo.com/schema.json",
+  tasks: Object.fromEntries(
+    [
+      ["build", { dependsOn: ["^build"], outputs: ["dist/**", ".output/**"] }],
+      ["dev", { dependsOn: ["^build"], cache: false, persistent: true }],
+      ["start", { cache: false, persistent: true }],
+      ["lint", {}],
+      ["test", { dependsOn: ["^build"] }],
+    ].filter(([task]) => scripts.includes(task)),
+  ),
+});
+
+const getWorkspaceCommand = (packageManager, name, script) =>
+  ({
+    pnpm: `pnpm --filter ${name} ${script}`,
+    npm: `npm run ${script} -w ${name}`,
+    yarn: `yarn workspace ${name} ${script}`,
+  })[packageManager];
+
+/**
+ * Root scripts running each task in the workspaces that have it: through
+ * Turborepo, or one workspace after the other with packages first. Dev
+ * builds the packages once, then runs the app.
+ */
+function getRootScripts(workspaces, { packageManager, turbo }) {
+  const scripts = {};
+  for (const script of FAN_OUT_SCRIPTS) {
+    const targets = workspaces.filter((ws) => ws.pkg.scripts?.[script]);
+    if (targets.length === 0) continue;
+
+    if (turbo) {
+      scripts[script] = `turbo run ${script}`;
+      continue;
+    }
+    const run = (ws, name = script) => getWorkspaceCommand(packageManager, ws.pkg.name, name);
+    const packages = workspaces.filter((ws) => ws.dir !== APP_DIR && ws.pkg.scripts?.build);
+    const app = targets.find((ws) => ws.dir === APP_DIR);
+    scripts[script] =
+      script === "dev" && app
+        ? [...packages.map((ws) => run(ws, "build")), run(app)].join(" && ")
+        : targets.map((ws) => run(ws)).join(" && ");
+  }
+  return scripts;
+}
+
+const getRootReadme = ({ projectName, packageManager, turbo }, workspaces) => `# ${projectName}
+
+A TanStack Start app in a ${packageManager} workspace${turbo ? ", with Turborepo running the tasks" : ""}.
+
+## Workspaces
+
+${workspaces.map((ws) => `- \`${ws.dir}\` (\`${ws.pkg.name}\`): ${ws.description}`).join("\n")}
+
+## Getting Started
+
+\`\`\`bash
+${packageManager} install
+${getRunCommand(packageManager, "dev")}
+\`\`\`
+
+Scripts at the root (\`dev\`, \`build\`, \`lint\`, ...) run in every workspace that has them. Run \`add\` and \`generate\` of create-tanstack-boilerplate inside \`${APP_DIR}\`.
+`;
+
+/**
+ * Lay out a rendered project as a workspace: the app in apps/web, the UI
+ * components in a buildable packages/ui and the shared TypeScript and lint
+ * config in packages/config.
+ */
+export function createMonorepo(app, ctx) {
+  const { projectName, packageManager, features } = ctx;
+  const scope = getScope(projectName);
+  const range = getWorkspaceRange(packageManager);
+  const withUI = features.includes("ui");
+  const linter = features.includes("quality") ? (app.exists("biome.json") ? "biome" : "eslint") : null;
+  const out = createOutput();
+
+  const appPkg = JSON.parse(app.read("package.json"));
+  const rootPkg = {
+    name: projectName,
+    private: true,
+    ...(ctx.packageManagerVersion && {
+      packageManager: `${packageManager}@${ctx.packageManagerVersion}`,
+    }),
+    ...(packageManager !== "pnpm" && { workspaces: ["packages/*", "apps/*"] }),
+    scripts: {},
+    devDependencies: {},
+  };
+
+  // pnpm only reads overrides at the root
+  if (appPkg.pnpm) {
+    rootPkg.pnpm = appPkg.pnpm;
+    delete appPkg.pnpm;
+  }
+
+  // Git hooks are set up once for the repository
+  if (appPkg.scripts.prepare === "husky") {
+    delete appPkg.scripts.prepare;
+    rootPkg.scripts.prepare = "husky";
+    for (const name of ["husky", "lint-staged"]) {
+      rootPkg.devDependencies[name] = appPkg.devDependencies[name];
+      delete appPkg.devDependencies[name];
+    }
+  }
+
+  // Shared config: the base tsconfig and the linter's config
+  const configPkg = {
+    name: `${scope}/config`,
+    version: "0.0.0",
+    private: true,
+    type: "module",
+    exports: { "./tsconfig.base.json": "./tsconfig.base.json" },
+  };
+  out.writeJson(`${CONFIG_DIR}/tsconfig.base.json`, getBaseTsconfig());
+
+  if (linter === "biome") {
+    configPkg.exports["./biome"] = "./biome.json";
+    out.scope("quality").write(`${CONFIG_DIR}/biome.json`, app.read("biome.json"));
+  } else if (linter === "eslint") {
+    configPkg.exports["./eslint"] = "./eslint.config.js";
+    const eslintConfig = app.read("eslint.config.js");
+    out.scope("quality").write(`${CONFIG_DIR}/eslint.config.js`, eslintConfig);
+    // The plugins are imported by the shared config, the app keeps the CLIs
+    const dependencies = {};
+    for (const name of getImportedPackages(eslintConfig)) {
+      dependencies[name] = appPkg.devDependencies[name];
+      if (name !== "eslint") delete appPkg.devDependencies[name];
+    }
+    configPkg.dependencies = sortKeys(dependencies);
+  }
+
+  // Lint config of a workspace, extending the shared one
+  const writeLintConfig = (dir) => {
+    if (linter === "biome") {
+      // The .gitignore Biome reads is at the root of the repository
+      out.scope("quality").writeJson(`${dir}/biome.json`, {
+        extends: [`${scope}/config/biome`],
+        vcs: { root: "../.." },
+      });
+    } else if (linter === "eslint") {
+      out.scope("quality").write(
+        `${dir}/eslint.config.js`,
+        `export { default } from '${scope}/config/eslint'\n`,
+      );
+    }
+  };
+
+  // The UI package, built with tsup so the app imports plain JavaScript
+  const packageFiles = withUI ? getUIPackageFiles(app) : [];
+  const moved = packageFiles.map((entry) => entry.path);
+  const uiName = `${scope}/ui`;
+  let uiPkg = null;
+
+  if (withUI) {
+    const appFiles = app.files().filter((entry) => !moved.includes(entry.path));
+    uiPkg = {
+      name: uiName,
+      version: "0.0.0",
+      private: true,
+      type: "module",
+      sideEffects: false,
+      exports: {
+        "./*": { types: "./dist/*.d.ts", default: "./dist/*.js" },
+      },
+      files: ["dist"],
+      scripts: {
+        build: "tsup",
+        dev: "tsup --watch",
+        ...(linter && { lint: appPkg.scripts.lint }),
+      },
+      dependencies: sortKeys(splitDependencies(appPkg, packageFiles, appFiles)),
+      peerDependencies: { react: "^19.0.0", "react-dom": "^19.0.0" },
+      devDependencies: sortKeys({
+        [`${scope}/config`]: range,
+        "@types/react": appPkg.devDependencies["@types/react"],
+        "@types/react-dom": appPkg.devDependencies["@types/react-dom"],
+        react: appPkg.dependencies.react,
+        "react-dom": appPkg.dependencies["react-dom"],
+        tsup: getVersion("tsup", ctx),
+        typescript: appPkg.devDependencies.typescript,
+        ...(linter === "biome" && { "@biomejs/biome": appPkg.devDependencies["@biomejs/biome"] }),
+        ...(linter === "eslint" && { eslint: appPkg.devDependencies.eslint }),
+      }),
+    };
+
+    for (const entry of packageFiles) {
+      out.scope("ui").write(`${UI_DIR}/${entry.path}`, entry.content);
+    }
+    out.scope("ui").writeJson(`${UI_DIR}/tsconfig.json`, {
+      extends: `${scope}/config/tsconfig.base.json`,
+      compilerOptions: {
+        baseUrl: ".",
+        paths: { "@/*": ["./src/*"] },
+      },
+      include: ["src", "tsup.config.ts"],
+    });
+    out.scope("ui").write(`${UI_DIR}/tsup.config.ts`, getTsupConfig());
+    // shadcn adds components to the package with the same aliases as before
+    const componentsJson = JSON.parse(app.read("components.json"));
+    componentsJson.tailwind.css = `../../${APP_DIR}/${componentsJson.tailwind.css}`;
+    out.scope("ui").writeJson(`${UI_DIR}/components.json`, componentsJson);
+    writeLintConfig(UI_DIR);
+
+    appPkg.dependencies[uiName] = range;
+  }
+
+  appPkg.name = `${scope}/web`;
+  appPkg.devDependencies[`${scope}/config`] = range;
+  appPkg.dependencies = sortKeys(appPkg.dependencies);
+  appPkg.devDependencies = sortKeys(appPkg.devDependencies);
+
+  // The app, minus what moved to the root and the packages
+  for (const entry of app.files()) {
+    const file = entry.path;
+    if (moved.includes(file)) continue;
+
+    if (ROOT_FILES.includes(file)) {
+      out.scope(entry.feature).write(file, entry.content);
+      continue;
+    }
+
+    let content = entry.content;
+    if (file === "package.json") {
+      content = JSON.stringify(appPkg, null, 2);
+    } else if (file === "tsconfig.json") {
+      const { compilerOptions } = JSON.parse(content);
+      content = JSON.stringify(
+        {
+          extends: `${scope}/config/tsconfig.base.json`,
+          include: ["**/*.ts", "**/*.tsx"],
+          compilerOptions: {
+            allowJs: true,
+            baseUrl: compilerOptions.baseUrl,
+            paths: compilerOptions.paths,
+            types: compilerOptions.types,
+            noEmit: true,
+          },
+        },
+        null,
+        2,
+      );
+    } else if (file === "components.json") {
+      content = JSON.stringify(getAppComponentsJson(JSON.parse(content), uiName), null, 2);
+    } else if (file === "biome.json" || file === "eslint.config.js") {
+      continue;
+    } else if (file === "src/styles/app.css" && withUI) {
+      // Tailwind only scans the app, the package's classes are added here
+      content = content
+        .toString()
+        .replace(/((?:^@import .*\n)+)/m, `$1@source "../../../../${UI_DIR}/src";\n`);
+    } else if (withUI && isSource(file)) {
+      content = rewriteUIImports(content.toString(), moved, uiName);
+    }
+    out.scope(entry.feature).write(`${APP_DIR}/${file}`, content);
+  }
+  writeLintConfig(APP_DIR);
+
+  const workspaces = [
+    ...(uiPkg ? [{ dir: UI_DIR, pkg: uiPkg, description: "shared UI components, built with tsup" }] : []),
+    { dir: CONFIG_DIR, pkg: configPkg, description: "shared tsconfig and lint config" },
+    { dir: APP_DIR, pkg: appPkg, description: "the TanStack Start app" },
+  ];
+
+  rootPkg.scripts = { ...getRootScripts(workspaces, ctx), ...rootPkg.scripts };
+  if (ctx.turbo) {
+    rootPkg.devDependencies.turbo = getVersion("turbo", ctx);
+    out.writeJson("turbo.json", getTurboJson(Object.keys(rootPkg.scripts)));
+  }
+  rootPkg.devDependencies = sortKeys(rootPkg.devDependencies);
+
+  out.writeJson("package.json", rootPkg);
+  out.writeJson(`${CONFIG_DIR}/package.json`, configPkg);
+  if (uiPkg) out.scope("ui").writeJson(`${UI_DIR}/package.json`, uiPkg);
+  if (packageManager === "pnpm") {
+    out.write("pnpm-workspace.yaml", "packages:\n  - packages/*\n  - apps/*\n");
+  }
+  out.write("README.md", getRootReadme(ctx, workspaces));
+  if (ctx.initGit) {
+    out.scope("git").write(".gitignore", "node_modules\ndist\n.turbo\n.env\n.DS_Store\n");
+  }
+
+  return out;
+}
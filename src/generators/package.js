@@ -1,8 +1,45 @@
-import { FEATURES } from "../constants.js";
+import { getFeatures } from "../features/index.js";
+import { getVersion } from "../versions.js";
+
+const CORE_DEPENDENCIES = [
+  "@tanstack/react-query",
+  "@tanstack/react-router",
+  "@tanstack/react-router-ssr-query",
+  "react",
+  "react-dom",
+  "vite",
+];
+
+const CORE_DEV_DEPENDENCIES = [
+  "@tanstack/react-start",
+  "@tanstack/router-core",
+  "@tanstack/start-client-core",
+  "@types/node",
+  "@types/react",
+  "@types/react-dom",
+  "vite-tsconfig-paths",
+  "@vitejs/plugin-react",
+  "typescript",
+];
+
+// Internal TanStack Start packages kept in line with the pinned versions
+const PNPM_OVERRIDES = [
+  "@tanstack/react-start-server",
+  "@tanstack/start-server-core",
+  "@tanstack/start-plugin-core",
+  "@tanstack/react-start-plugin",
+  "@tanstack/router-plugin",
+  "@tanstack/router-generator",
+  "@tanstack/server-functions-plugin",
+];
+
+export function generatePackageJson(ctx) {
+  const { projectName, packageManager, latest } = ctx;
+  const versions = (names) =>
+    Object.fromEntries(names.map((name) => [name, getVersion(name, ctx)]));
 
-export function generatePackageJson(name, features, packageManager, stateLibs = ["jotai"], validatorLib) {
   const pkg = {
-    name,
+    name: projectName,
     private: true,
     sideEffects: false,
     type: "module",
@@ -11,101 +48,24 @@ export function generatePackageJson(name, features, packageManager, stateLibs =
       build: "vite build",
       start: "node .output/server/index.mjs",
     },
-    dependencies: {
-      "@tanstack/react-query": "^5.85.5",
-      "@tanstack/react-router": "^1.132.7",
-      "@tanstack/react-router-ssr-query": "^1.132.7",
-      react: "^19.2.0",
-      "react-dom": "^19.2.0",
-      vite: "^7.1.3",
-    },
-    devDependencies: {
-      "@tanstack/react-start": "^1.132.9",
-      "@tanstack/router-core": "^1.132.7",
-      "@tanstack/start-client-core": "^1.132.9",
-      "@types/node": "^24.3.0",
-      "@types/react": "^19.2.2",
-      "@types/react-dom": "^19.2.2",
-      "vite-tsconfig-paths": "^5.1.4",
-      "@vitejs/plugin-react": "^5.0.4",
-      typescript: "^5.9.2",
-    },
+    dependencies: versions(CORE_DEPENDENCIES),
+    devDependencies: versions(CORE_DEV_DEPENDENCIES),
   };
 
-  // Add feature-specific packages
-  features.forEach((feature) => {
-    const featureConfig = FEATURES[feature];
-    if (featureConfig) {
-      featureConfig.packages.forEach((p) => {
-        // Use @inlang/paraglide-js instead of adapter for vite plugin
-        if (p === "@inlang/paraglide-js-adapter-vite") {
-          pkg.devDependencies["@inlang/paraglide-js"] = "latest";
-        } else {
-          pkg.dependencies[p] = "latest";
-        }
-      });
-      featureConfig.devPackages.forEach((p) => {
-        pkg.devDependencies[p] = "latest";
-      });
-    }
+  // Add feature-specific packages and scripts
+  getFeatures(ctx.features).forEach((feature) => {
+    const options = { latest, versions: feature.versions };
+    feature.packages.forEach((p) => {
+      pkg.dependencies[p] = getVersion(p, options);
+    });
+    feature.devPackages.forEach((p) => {
+      pkg.devDependencies[p] = getVersion(p, options);
+    });
+    feature.packageJson?.(pkg, ctx);
   });
 
-  if (features.includes("state")) {
-    if (stateLibs.includes("jotai")) {
-      pkg.dependencies["jotai"] = "latest";
-    }
-    if (stateLibs.includes("zustand")) {
-      pkg.dependencies["zustand"] = "latest";
-    }
-  }
-
-  if (features.includes("validator")) {
-    if (validatorLib === "zod") {
-      pkg.dependencies["zod"] = "latest";
-      pkg.dependencies["@tanstack/zod-form-adapter"] = "latest";
-    }
-    if (validatorLib === "arktype") {
-      pkg.dependencies["arktype"] = "latest";
-      pkg.dependencies["@tanstack/arktype-form-adapter"] = "latest";
-    }
-  }
-
-  // Add feature-specific scripts
-  if (features.includes("i18n")) {
-    pkg.scripts["machine-translate"] =
-      "inlang machine translate --project project.inlang";
-  }
-
-  if (features.includes("testing")) {
-    pkg.scripts.test = "vitest run";
-    pkg.scripts["test:watch"] = "vitest";
-    pkg.scripts["test:ui"] = "vitest --ui";
-  }
-
-  if (features.includes("quality")) {
-    pkg.scripts.lint = `${packageManager === "pnpm" ? "pnpm " : ""}biome check src`;
-    pkg.scripts["lint:fix"] =
-      `${packageManager === "pnpm" ? "pnpm " : ""}biome check --write src`;
-    pkg.scripts.prepare = "husky";
-    pkg["lint-staged"] = {
-      "*.{js,jsx,ts,tsx}": [
-        `${packageManager === "pnpm" ? "pnpm " : ""}biome check src`,
-      ],
-    };
-  }
-
-  if (packageManager === "pnpm") {
-    pkg.pnpm = {
-      overrides: {
-        "@tanstack/react-start-server": "^1.132.9",
-        "@tanstack/start-server-core": "^1.132.9",
-        "@tanstack/start-plugin-core": "^1.132.9",
-        "@tanstack/react-start-plugin": "^1.132.9",
-        "@tanstack/router-plugin": "^1.132.7",
-        "@tanstack/router-generator": "^1.132.7",
-        "@tanstack/server-functions-plugin": "^1.132.9",
-      },
-    };
+  if (packageManager === "pnpm" && !latest) {
+    pkg.pnpm = { overrides: versions(PNPM_OVERRIDES) };
   }
 
   return pkg;
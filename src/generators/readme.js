@@ -1,15 +1,13 @@
-import fs from "node:fs";
-import path from "node:path";
-import { FEATURES } from "../constants.js";
+import { getFeatures } from "../features/index.js";
 
-export function createReadme(root, projectName, features, packageManager) {
+export function createReadme(out, projectName, features, packageManager) {
   const readme = `# ${projectName}
 
 A modern web application built with TanStack Start.
 
 ## Features
 
-${features.map((f) => `- ✅ ${FEATURES[f].name}`).join("\n")}
+${getFeatures(features).map((f) => `- ✅ ${f.name}`).join("\n")}
 
 ## Getting Started
 
@@ -43,21 +41,25 @@ ${projectName}/
 - \`${packageManager} ${packageManager === "npm" ? "run " : ""}dev\` - Start development server
 - \`${packageManager} ${packageManager === "npm" ? "run " : ""}build\` - Build for production
 - \`${packageManager} ${packageManager === "npm" ? "run " : ""}start\` - Start production server
-${features.includes("testing") ? `- \`${packageManager} ${packageManager === "npm" ? "run " : ""}test\` - Run tests` : ""}
+${features.includes("testing") ? `- \`${packageManager} ${packageManager === "npm" ? "run " : ""}test\` - Run tests
+- \`${packageManager} ${packageManager === "npm" ? "run " : ""}test:coverage\` - Run tests with a coverage report` : ""}
 ${features.includes("quality") ? `- \`${packageManager} ${packageManager === "npm" ? "run " : ""}lint\` - Lint code` : ""}
+${features.includes("database") ? `- \`${packageManager} ${packageManager === "npm" ? "run " : ""}db:generate\` / \`db:migrate\` - Create and apply migrations from \`src/db/schema.ts\`
+- \`${packageManager} ${packageManager === "npm" ? "run " : ""}db:seed\` - Fill the database with example rows
+- \`${packageManager} ${packageManager === "npm" ? "run " : ""}db:studio\` - Browse the data in Drizzle Studio` : ""}
 
 ## Learn More
 
 - [TanStack Start Documentation](https://tanstack.com/start)
 - [React Documentation](https://react.dev)
-${features.includes("ui") ? "- [Tailwind CSS](https://tailwindcss.com)\n- [Radix UI](https://radix-ui.com)" : ""}
-${features.includes("form") ? "- [TanStack Form](https://tanstack.com/form)" : ""}
-${features.includes("i18n") ? "- [Inlang](https://inlang.com)" : ""}
+${getFeatures(features)
+  .flatMap((f) => f.links.map(([title, url]) => `- [${title}](${url})`))
+  .join("\n")}
 
 ## License
 
 MIT
 `;
 
-  fs.writeFileSync(path.join(root, "README.md"), readme);
+  out.write("README.md", readme);
 }
@@ -0,0 +1,231 @@
+// Builds the files of the `generate` command from a route path such as
+// /posts/$postId. Segments follow TanStack Router's file naming: `$param`
+// for path params, `_name` for pathless layouts and `(name)` for groups.
+
+// Param names end up as identifiers (params.postId), so they can't have dashes
+const SEGMENT = /^(?:\$[a-zA-Z_]\w*|[\w.-]+|_[\w-]+|\([\w-]+\))$/;
+
+const isParam = (segment) => segment.startsWith("$");
+
+// Pathless layouts and groups don't show in the URL
+export const isPathless = (segment) => segment.startsWith("_") || segment.startsWith("(");
+
+const words = (segment) => segment.replace(/^[$_(]|\)$/g, "").split(/[^a-zA-Z0-9]+/);
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Split a route path into its segments. Throws when a segment isn't a valid
+ * file route name.
+ */
+export function parseRoutePath(routePath) {
+  const segments = routePath.split("/").filter(Boolean);
+  for (const segment of segments) {
+    if (!SEGMENT.test(segment) || segment.startsWith("-")) {
+      throw new Error(`Invalid route segment "${segment}" in ${routePath}`);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Where a route lives in src/routes and the id createFileRoute takes. An
+ * index route is written for a path ending with a slash, or for "/".
+ */
+export function getRouteFile(segments, { index = false, extension = "tsx" } = {}) {
+  const names = index || segments.length === 0 ? [...segments, "index"] : segments;
+  return {
+    file: `src/routes/${names.join("/")}.${extension}`,
+    id: `/${segments.join("/")}${names.at(-1) === "index" ? (segments.length ? "/" : "") : ""}`,
+  };
+}
+
+// PascalCase name of the route's component, from its segments
+const getComponentName = (segments, suffix = "") => {
+  const name = segments
+    .flatMap(words)
+    .map(capitalize)
+    .join("");
+  return `${name || "Home"}${suffix}`;
+};
+
+const getParams = (segments) =>
+  segments.filter(isParam).map((segment) => segment.slice(1));
+
+// The page title, with the values of the path params
+const getTitle = (segments) => {
+  const parts = segments
+    .filter((segment) => !isPathless(segment))
+    .map((segment) =>
+      isParam(segment) ? `\${params.${segment.slice(1)}}` : words(segment).map(capitalize).join(" "),
+    );
+  return parts.length ? parts.join(" ") : "Home";
+};
+
+const SEARCH_SCHEMAS = {
+  zod: {
+    import: "import { z } from 'zod'",
+    code: `const searchSchema = z.object({
+  page: z.number().int().min(1).optional(),
+})`,
+  },
+  arktype: {
+    import: "import { type } from 'arktype'",
+    code: `const searchSchema = type({
+  'page?': 'number.integer >= 1',
+})`,
+  },
+};
+
+/**
+ * A page route with head tags, pending and error components, search params
+ * checked by the project's validator and, with React Query, a loader that
+ * fills the query cache.
+ */
+export function getPageRoute(segments, { id, validatorLib, withQuery }) {
+  const component = getComponentName(segments);
+  const params = getParams(segments);
+  const queryOptionsName = `${component.charAt(0).toLowerCase()}${component.slice(1)}QueryOptions`;
+  const search = SEARCH_SCHEMAS[validatorLib];
+
+  const paramArgs = params.map((param) => `${param}: string`).join(", ");
+  const paramValues = params.join(", ");
+  // A placeholder message with the URL, params read from `prefix`
+  const getMessage = (prefix = "") => {
+    const url = `/${segments
+      .filter((segment) => !isPathless(segment))
+      .map((segment) => (isParam(segment) ? `\${${prefix}${segment.slice(1)}}` : segment))
+      .join("/")}`;
+    return params.length ? `\`Data for ${url}\`` : `'Data for ${url}'`;
+  };
+  const queryKey = segments
+    .filter((segment) => !isPathless(segment))
+    .map((segment) => (isParam(segment) ? segment.slice(1) : `'${segment}'`));
+  const title = getTitle(segments);
+  const titleCode = params.length ? `\`${title}\`` : `'${title}'`;
+
+  const imports = [
+    ...(withQuery ? ["import { queryOptions, useSuspenseQuery } from '@tanstack/react-query'"] : []),
+    "import { createFileRoute, type ErrorComponentProps, useRouter } from '@tanstack/react-router'",
+    ...(search ? [search.import] : []),
+    "import { seo } from '@/utils/seo'",
+  ];
+
+  const loader = withQuery
+    ? `  // Fetched during SSR and dehydrated, the component reads it from the cache
+  loader: ({ context${params.length ? ", params" : ""} }) =>
+    context.queryClient.ensureQueryData(${queryOptionsName}(${params.map((p) => `params.${p}`).join(", ")})),`
+    : `  loader: (${params.length ? "{ params }" : ""}) => ({ message: ${getMessage("params.")} }),`;
+
+  const data = `${params.length ? `  const { ${paramValues} } = Route.useParams()\n` : ""}${
+    withQuery
+      ? `  const { data } = useSuspenseQuery(${queryOptionsName}(${paramValues}))`
+      : "  const data = Route.useLoaderData()"
+  }`;
+
+  return `${imports.join("\n")}
+${
+  search
+    ? `
+// Search params of the route, read them with Route.useSearch()
+${search.code}
+`
+    : ""
+}${
+  withQuery
+    ? `
+// Shared by the loader and the component, so the key lives in one place.
+// Replace the queryFn with a call to a server function.
+export const ${queryOptionsName} = (${paramArgs}) =>
+  queryOptions({
+    queryKey: [${queryKey.join(", ")}],
+    queryFn: async () => ({ message: ${getMessage()} }),
+  })
+`
+    : ""
+}
+export const Route = createFileRoute('${id}')({
+${search ? "  validateSearch: searchSchema,\n" : ""}${loader}
+  head: (${params.length ? "{ params }" : ""}) => ({
+    meta: seo({ title: ${titleCode} }),
+  }),
+  pendingComponent: () => <p className="p-8">Loading...</p>,
+  errorComponent: ${component}Error,
+  component: ${component},
+})
+
+function ${component}() {
+${data}
+
+  return (
+    <div className="p-8">
+      <h1 className="mb-6 text-2xl font-bold">${title.replace(/\$\{params\.(\w+)\}/g, "{$1}")}</h1>
+      <p>{data.message}</p>
+    </div>
+  )
+}
+
+function ${component}Error({ error, reset }: ErrorComponentProps) {
+  const router = useRouter()
+  const message = error instanceof Error ? error.message : String(error)
+
+  return (
+    <div className="p-8">
+      <p className="mb-4">Something went wrong: {message}</p>
+      <button
+        type="button"
+        className="underline"
+        onClick={() => {
+          reset()
+          router.invalidate()
+        }}
+      >
+        Try again
+      </button>
+    </div>
+  )
+}
+`;
+}
+
+/** A layout route, which renders its child routes in the <Outlet /> */
+export function getLayoutRoute(segments, { id }) {
+  const component = getComponentName(segments, "Layout");
+  const childDir = `src/routes/${segments.join("/")}/`;
+
+  return `import { Outlet, createFileRoute } from '@tanstack/react-router'
+
+// Layout of the routes in ${childDir}
+export const Route = createFileRoute('${id}')({
+  component: ${component},
+})
+
+function ${component}() {
+  return (
+    <div className="p-8">
+      <Outlet />
+    </div>
+  )
+}
+`;
+}
+
+/** A server route with a GET handler, for routes under /api */
+export function getApiRoute(segments, { id }) {
+  const params = getParams(segments);
+  const body = params.length
+    ? `{ ${params.map((param) => `${param}: params.${param}`).join(", ")} }`
+    : "{ status: 'ok' }";
+
+  return `import { createFileRoute } from '@tanstack/react-router'
+
+// Add a handler per HTTP method, each one gets the request and path params
+export const Route = createFileRoute('${id}')({
+  server: {
+    handlers: {
+      GET: (${params.length ? "{ params }" : ""}) => Response.json(${body}),
+    },
+  },
+})
+`;
+}
@@ -0,0 +1,82 @@
+import { spawnSync } from "node:child_process";
+
+const DEFAULT_BRANCH = "main";
+const INITIAL_COMMIT_MESSAGE = "Initial commit from create-tanstack-boilerplate";
+
+function git(args, cwd) {
+  const result = spawnSync("git", args, { cwd, stdio: "pipe", encoding: "utf-8" });
+  return {
+    ok: !result.error && result.status === 0,
+    output: (result.stdout || "").trim(),
+    error: result.error?.message || (result.stderr || "").trim(),
+  };
+}
+
+export function isGitAvailable() {
+  return git(["--version"]).ok;
+}
+
+export function isInsideWorkTree(dir) {
+  const result = git(["rev-parse", "--is-inside-work-tree"], dir);
+  return result.ok && result.output === "true";
+}
+
+/**
+ * Create a repository in `root` on the default branch. Returns `{ status }`:
+ * "initialized" with the `branch`, or "skipped" with a `reason` (git
+ * missing, already in a work tree).
+ */
+export function initGitRepository(root) {
+  if (!isGitAvailable()) {
+    return { status: "skipped", reason: "git is not installed" };
+  }
+  if (isInsideWorkTree(root)) {
+    return { status: "skipped", reason: "already inside a git repository" };
+  }
+
+  // `git init -b` needs git 2.28+, pointing HEAD works with any version
+  const init = git(["init"], root);
+  if (!init.ok) return { status: "skipped", reason: init.error };
+  git(["symbolic-ref", "HEAD", `refs/heads/${DEFAULT_BRANCH}`], root);
+
+  return { status: "initialized", branch: DEFAULT_BRANCH };
+}
+
+/**
+ * Commit every file in `root`, skipping hooks since dependencies may not be
+ * installed. Returns an error message when the commit fails (e.g. without
+ * user.email), null otherwise.
+ */
+export function createInitialCommit(root) {
+  const add = git(["add", "-A"], root);
+  const commit = add.ok
+    ? git(["commit", "--no-verify", "-m", INITIAL_COMMIT_MESSAGE], root)
+    : add;
+  return commit.ok ? null : commit.error.split("\n")[0];
+}
+
+// The first "fatal:" line of an error, git adds hints after it
+const getFatal = (error) =>
+  (error.split("\n").find((line) => line.startsWith("fatal:")) ?? error.split("\n")[0])
+    .replace(/^fatal:\s*/, "");
+
+/**
+ * Shallow clone of `url` at `ref` (a branch or tag, the default branch when
+ * empty) into `dest`. Returns an error message, null on success.
+ */
+export function cloneRepository(url, dest, ref) {
+  const clone = git(
+    ["clone", "--depth", "1", ...(ref ? ["--branch", ref] : []), url, dest],
+  );
+  return clone.ok ? null : getFatal(clone.error);
+}
+
+/**
+ * Bring a shallow clone up to date with its remote. Returns an error
+ * message (e.g. when offline), null on success.
+ */
+export function updateRepository(dir, ref) {
+  const fetch = git(["fetch", "--depth", "1", "origin", ref || "HEAD"], dir);
+  const reset = fetch.ok ? git(["reset", "--hard", "FETCH_HEAD"], dir) : fetch;
+  return reset.ok ? null : getFatal(reset.error);
+}
@@ -1,156 +1,151 @@
+import { spawnSync } from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
-import { bold, cyan, green, red, yellow } from "kolorist";
+import { bold, cyan, dim, green, red, yellow } from "kolorist";
 import prompts from "prompts";
-import { FEATURES } from "./constants.js";
-import { generatePackageJson } from "./generators/package.js";
-import { createReadme } from "./generators/readme.js";
-import { createConfigFiles } from "./generators/config.js";
-import { createBaseStructure } from "./setup/base.js";
-import { createI18nSetup } from "./setup/i18n.js";
-import { createUISetup } from "./setup/ui.js";
-import { createStateSetup } from "./setup/state.js";
-import { createTestingSetup } from "./setup/testing.js";
-import { createQualitySetup } from "./setup/quality.js";
-import { getGitignore } from "./generators/config.js";
-
-export async function init() {
+import { getPluginArgs, getTemplateArg, getUsage, parseArgs } from "./args.js";
+import { getFeatures, loadPlugins } from "./features/index.js";
+import { getQuestions, resolveSelection, withDefaults } from "./questions.js";
+import { loadPreset, savePreset } from "./presets.js";
+import { generateMonorepo, generateProject } from "./generate.js";
+import { APP_DIR } from "./generators/monorepo.js";
+import { formatTree } from "./output.js";
+import { createInitialCommit, initGitRepository } from "./git.js";
+import {
+  getPackageManagerVersion,
+  getRunCommand,
+  installDependencies,
+} from "./package-manager.js";
+import { createSpinner } from "./spinner.js";
+import { loadTemplate } from "./template-source.js";
+import { readUserConfig } from "./user-config.js";
+
+// A template's commands run in a shell, so they are shown and only run once
+// confirmed. --yes doesn't confirm them, --run-template-setup does.
+async function confirmSetup(template, yes) {
+  console.log(yellow(`\n⚙️  The template ${template.name} has setup commands:\n`));
+  for (const command of template.postGenerate) console.log(dim(`  $ ${command}`));
+
+  if (yes || !process.stdin.isTTY) {
+    console.log(yellow("\n• Skipped them, pass --run-template-setup to run them"));
+    return false;
+  }
+  const { runSetup } = await prompts(
+    { type: "confirm", name: "runSetup", message: "Run them now?", initial: false },
+    { onCancel: () => {} },
+  );
+  return Boolean(runSetup);
+}
+
+export async function init(argv = process.argv.slice(2)) {
   // Banner
   console.log(cyan(bold("\n🚀 Create TanStack Start Boilerplate\n")));
 
+  try {
+    await loadPlugins([...readUserConfig().plugins, ...getPluginArgs(argv)]);
+  } catch (error) {
+    console.log(red(`✖ Failed to load plugin: ${error.message}\n`));
+    process.exit(1);
+  }
+
+  // Before the flags too, since a template may add prompts with flags
+  let template = null;
+  const templateSource = getTemplateArg(argv);
+  if (templateSource) {
+    try {
+      const loaded = loadTemplate(templateSource);
+      template = loaded.template;
+      if (loaded.warning) console.log(yellow(`• ${loaded.warning}`));
+      console.log(cyan(`Using the template ${template.name}\n`));
+    } catch (error) {
+      console.log(red(`✖ Failed to load template: ${error.message}\n`));
+      process.exit(1);
+    }
+  }
+
+  let flags;
+  try {
+    flags = parseArgs(argv);
+  } catch (error) {
+    console.log(red(`✖ ${error.message}\n`));
+    console.log(getUsage());
+    process.exit(1);
+  }
+
+  if (flags.options.help) {
+    console.log(getUsage());
+    return;
+  }
+
+  let preset = {};
+  if (flags.options.preset) {
+    try {
+      preset = loadPreset(flags.options.preset);
+    } catch (error) {
+      console.log(red(`✖ ${error.message}\n`));
+      process.exit(1);
+    }
+  }
+
+  // Answers passed as flags or a preset skip their prompt; --yes fills in the rest
+  const given = { ...preset, ...flags.answers };
+  prompts.override(flags.options.yes ? withDefaults(given) : given);
+
   let result = {};
 
   try {
-    result = await prompts(
-      [
-        {
-          type: "text",
-          name: "projectName",
-          message: "Project name:",
-          initial: "my-tanstack-app",
-          validate: (name) => {
-            if (!name) return "Project name is required";
-            if (!/^[a-z0-9-_]+$/i.test(name)) {
-              return "Project name can only contain letters, numbers, dashes and underscores";
-            }
-            return true;
-          },
-        },
-        {
-          type: "select",
-          name: "packageManager",
-          message: "Select a package manager:",
-          choices: [
-            { title: "pnpm", value: "pnpm" },
-            { title: "npm", value: "npm" },
-            { title: "yarn", value: "yarn" },
-          ],
-          initial: 0,
-        },
-        {
-          type: "multiselect",
-          name: "features",
-          message: "Select features to include:",
-          choices: Object.entries(FEATURES).map(([key, feature]) => ({
-            title: feature.name,
-            value: key,
-            description: feature.description,
-            selected: ["ui", "quality"].includes(key), // Default selections
-          })),
-          hint: "- Space to select. Return to submit",
-        },
-        {
-          type: (prev, values) =>
-            values.features.includes("state") ? "multiselect" : null,
-          name: "stateLibs",
-          message: "Select state management library:",
-          choices: [
-            { title: "Jotai", value: "jotai", selected: true },
-            { title: "Zustand", value: "zustand" },
-          ],
-          hint: "- Space to select. Return to submit",
-          validate: (value) =>
-            !value || value.length === 0
-              ? "Please select at least one state library"
-              : true,
-        },
-        {
-          type: (prev, values) =>
-            values.features.includes("validator") ? "select" : null,
-          name: "validatorLib",
-          message: "Select validation library:",
-          choices: [
-            { title: "Zod", value: "zod", selected: true },
-            { title: "ArkType", value: "arktype" },
-          ],
-        },
-        {
-          type: (prev, values) =>
-            values.features.includes("i18n") ? "multiselect" : null,
-          name: "languages",
-          message: "Select languages to support:",
-          choices: [
-            { title: "English", value: "en", selected: true },
-            { title: "Vietnamese", value: "vi", selected: true },
-            { title: "Japanese", value: "ja" },
-            { title: "Korean", value: "ko" },
-            { title: "Chinese (Simplified)", value: "zh" },
-          ],
-          hint: "- Space to select. Return to submit",
-        },
-        {
-          type: (prev, values) =>
-            values.features.includes("i18n") ? "select" : null,
-          name: "baseLocale",
-          message: "Select base/default language:",
-          choices: (prev, values) => {
-            const selected = values.languages || ["en"];
-            return selected.map((lang) => ({
-              title:
-                lang === "en"
-                  ? "English"
-                  : lang === "vi"
-                    ? "Vietnamese"
-                    : lang === "ja"
-                      ? "Japanese"
-                      : lang === "ko"
-                        ? "Korean"
-                        : lang === "zh"
-                          ? "Chinese (Simplified)"
-                          : lang,
-              value: lang,
-            }));
-          },
-        },
-        {
-          type: "confirm",
-          name: "initGit",
-          message: "Initialize git repository?",
-          initial: true,
-        },
-      ],
-      {
-        onCancel: () => {
-          throw new Error(red("✖") + " Operation cancelled");
-        },
+    result = await prompts(getQuestions(), {
+      onCancel: () => {
+        throw new Error("Operation cancelled");
       },
-    );
-  } catch (cancelled) {
-    console.log(cancelled.message);
+    });
+  } catch (error) {
+    console.log(`${red("✖")} ${error.message}`);
+    process.exit(1);
+  }
+
+  // The feature rules apply once the prompts are done, prompts would report
+  // a conflict thrown while it formats the answer as a cancellation
+  try {
+    result.features = resolveSelection(result.features ?? []);
+  } catch (error) {
+    console.log(red(`\n✖ ${error.message}\n`));
     process.exit(1);
   }
 
   const {
     projectName,
     packageManager,
-    features = [],
-    languages = ["en"],
-    baseLocale = "en",
+    features,
+    monorepo,
     initGit,
-    stateLibs = ["jotai"],
-    validatorLib,
+    install,
   } = result;
 
+  for (const feature of getFeatures(features)) {
+    const valid = feature.validate?.(result) ?? true;
+    if (valid !== true) {
+      console.log(red(`\n✖ ${valid}\n`));
+      process.exit(1);
+    }
+  }
+
+  const unsupported = features.filter(
+    (key) => template?.features && !template.features.includes(key),
+  );
+  if (unsupported.length > 0) {
+    console.log(
+      red(`\n✖ The template ${template.name} doesn't support: ${unsupported.join(", ")}\n`),
+    );
+    process.exit(1);
+  }
+
+  // The Dockerfile installs from a lockfile next to the app
+  if (monorepo && features.includes("docker")) {
+    console.log(red("\n✖ Docker can't be used with a monorepo yet\n"));
+    process.exit(1);
+  }
+
   const root = path.join(process.cwd(), projectName);
 
   // Check if directory exists
@@ -159,75 +154,136 @@ export async function init() {
     process.exit(1);
   }
 
-  console.log(cyan("\n📦 Creating project structure...\n"));
-
-  // Create project directory
-  fs.mkdirSync(root, { recursive: true });
-
-  // Generate package.json
-  const packageJson = generatePackageJson(
-    projectName,
-    features,
-    packageManager,
-    stateLibs,
-    validatorLib,
-  );
-  fs.writeFileSync(
-    path.join(root, "package.json"),
-    JSON.stringify(packageJson, null, 2),
-  );
-
-  // Create base structure
-  createBaseStructure(root, features);
-
-  // Create feature-specific files
-  if (features.includes("i18n")) {
-    createI18nSetup(root, languages, baseLocale);
+  let out;
+  try {
+    const answers = { ...result, features, template, latest: flags.options.latest };
+    out = monorepo
+      ? generateMonorepo({
+          ...answers,
+          packageManagerVersion: getPackageManagerVersion(packageManager),
+        })
+      : generateProject(answers);
+  } catch (error) {
+    console.log(red(`\n✖ Failed to generate project: ${error.message}`));
+    console.log(red("  No files were written.\n"));
+    process.exit(1);
   }
 
-  if (features.includes("ui")) {
-    createUISetup(root);
+  if (flags.options.dryRun) {
+    console.log(cyan("\n🔍 Dry run: the following files would be created\n"));
+    console.log(formatTree(projectName, out.files(), { dim }));
+    console.log(yellow("\nNothing was written to disk.\n"));
+    return;
   }
 
-  if (features.includes("state")) {
-    createStateSetup(root, stateLibs);
+  // After the dry run, which writes nothing
+  if (flags.options.savePreset) {
+    const file = savePreset(flags.options.savePreset, result);
+    console.log(green(`\n✓ Preset saved to ${file}`));
   }
 
-  if (features.includes("testing")) {
-    createTestingSetup(root);
-  }
+  console.log(cyan("\n📦 Creating project structure...\n"));
 
-  if (features.includes("quality")) {
-    createQualitySetup(root);
+  try {
+    out.flush(root);
+  } catch (error) {
+    console.log(red(`\n✖ Failed to write project: ${error.message}`));
+    console.log(red(`  Rolled back ${projectName}.\n`));
+    process.exit(1);
   }
 
-  // Create config files
-  createConfigFiles(root, features, projectName);
-
-  // Create README
-  createReadme(root, projectName, features, packageManager);
-
-  // Initialize git
+  // The repository has to exist before installing so husky can set up its
+  // hooks; the initial commit waits for the lockfile
+  let git = { status: "skipped" };
   if (initGit) {
     console.log(yellow("\n📝 Initializing git repository...\n"));
-    fs.writeFileSync(path.join(root, ".gitignore"), getGitignore());
+    git = initGitRepository(root);
+    if (git.status === "skipped") {
+      console.log(yellow(`• Skipped git init: ${git.reason}`));
+    }
   }
 
-  // Success message
-  console.log(green(bold("\n✓ Project created successfully!\n")));
-  console.log(cyan("Next steps:\n"));
-  console.log(`  cd ${projectName}`);
-  console.log(`  ${packageManager} install`);
-  console.log(
-    `  ${packageManager} ${packageManager === "npm" ? "run " : ""}dev\n`,
-  );
+  let installed = false;
+  if (install) {
+    installed = await runInstall(root, packageManager);
+  }
 
-  if (features.includes("i18n")) {
+  // The template's own setup, run in the app and part of the initial
+  // commit. What didn't run ends up in the next steps.
+  let pendingSetup = template?.postGenerate ?? [];
+  if (
+    installed &&
+    pendingSetup.length > 0 &&
+    (flags.options.runTemplateSetup || (await confirmSetup(template, flags.options.yes)))
+  ) {
+    console.log(yellow("\n⚙️  Running the template's setup...\n"));
+    while (pendingSetup.length > 0) {
+      const [command] = pendingSetup;
+      console.log(dim(`$ ${command}`));
+      const run = spawnSync(command, {
+        cwd: monorepo ? path.join(root, APP_DIR) : root,
+        shell: true,
+        stdio: "inherit",
+      });
+      if (run.status !== 0) {
+        console.log(yellow(`• "${command}" failed, the remaining setup is left to you`));
+        break;
+      }
+      pendingSetup = pendingSetup.slice(1);
+    }
+  }
+
+  if (git.status === "initialized") {
+    const error = createInitialCommit(root);
     console.log(
-      yellow("📝 Note: run pnpm dev will compile all languages to paraglide files:"),
+      error
+        ? yellow(`• Repository created, but the initial commit failed: ${error}`)
+        : green(`✓ Created an initial commit on ${git.branch}`),
     );
+  }
+
+  // Success message, with only the commands that still need to be run
+  const featureSteps = getFeatures(features).flatMap(
+    (feature) => feature.nextSteps?.({ ...result, features }) ?? [],
+  );
+  const steps = [
+    `cd ${projectName}`,
+    ...(installed ? [] : [`${packageManager} install`]),
+    // Template and feature commands run in the app's workspace
+    ...(monorepo && pendingSetup.length + featureSteps.length > 0
+      ? [`cd ${APP_DIR}`, ...pendingSetup, ...featureSteps, "cd ../.."]
+      : [...pendingSetup, ...featureSteps]),
+    getRunCommand(packageManager, "dev"),
+  ];
+
+  console.log(green(bold("\n✓ Project created successfully!\n")));
+  if (monorepo && result.turbo && !out.read("package.json").includes('"packageManager"')) {
     console.log(
-      `  ${packageManager} ${packageManager === "npm" ? "run " : ""} dev\n`,
+      yellow(
+        `• Turborepo needs the "packageManager" field in package.json, e.g. "${packageManager}@<version>"\n`,
+      ),
     );
   }
+  console.log(cyan("Next steps:\n"));
+  steps.forEach((step) => console.log(`  ${step}`));
+  console.log();
+}
+
+// Install dependencies with a spinner, reporting the output on failure
+async function runInstall(root, packageManager) {
+  const spinner = createSpinner(
+    `Installing dependencies with ${packageManager}`,
+  ).start();
+
+  try {
+    await installDependencies(root, packageManager);
+    spinner.stop(green("✓ Dependencies installed"));
+    return true;
+  } catch (error) {
+    spinner.stop(red(`✖ Failed to install dependencies: ${error.message}`));
+    const output = error.output?.trim().split("\n").slice(-15).join("\n");
+    if (output) console.log(dim(output));
+    console.log(yellow("  The project was created, run the install yourself.\n"));
+    return false;
+  }
 }
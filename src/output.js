@@ -0,0 +1,121 @@
+import fs from "node:fs";
+import path from "node:path";
+
+const toPosix = (file) => path.posix.normalize(file.split(path.sep).join("/"));
+
+// List every file below `dir`, as paths relative to it
+export function listFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), rel)
+      : [rel];
+  });
+}
+
+/**
+ * In-memory project output. Generators write here instead of to disk and
+ * everything is flushed at the end, so a dry run can list the files and a
+ * failed run leaves nothing behind.
+ *
+ * Every write records the feature that owns the file; `scope(feature)`
+ * returns a view of the same output that writes as another owner.
+ */
+export function createOutput() {
+  const files = new Map();
+  const dirs = new Set();
+
+  const view = (feature) => {
+    const write = (file, content) => {
+      files.set(toPosix(file), { content, feature });
+    };
+
+    return {
+      feature,
+      scope: (name) => view(name),
+      write,
+      writeJson: (file, data) => write(file, JSON.stringify(data, null, 2)),
+      mkdir: (dir) => dirs.add(toPosix(dir)),
+      read: (file) => files.get(toPosix(file))?.content?.toString(),
+      exists: (file) => files.has(toPosix(file)),
+      files: () =>
+        [...files.entries()]
+          .map(([file, { content, feature: owner }]) => ({
+            path: file,
+            content,
+            feature: owner,
+            size: Buffer.byteLength(content),
+          }))
+          .sort((a, b) => a.path.localeCompare(b.path)),
+      flush: (root) => flush(root, files, dirs),
+    };
+  };
+
+  return view("core");
+}
+
+function flush(root, files, dirs) {
+  const created = !fs.existsSync(root);
+
+  try {
+    fs.mkdirSync(root, { recursive: true });
+    for (const dir of dirs) {
+      fs.mkdirSync(path.join(root, dir), { recursive: true });
+    }
+    for (const [file, { content }] of files) {
+      const dest = path.join(root, file);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.writeFileSync(dest, content);
+    }
+  } catch (error) {
+    // Roll back so a failed run doesn't leave a half-written project
+    if (created) fs.rmSync(root, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+const formatSize = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+
+/**
+ * Render the files of an output as a tree, with the size and owning
+ * feature of each file.
+ */
+export function formatTree(rootName, entries, { dim = (s) => s } = {}) {
+  // Directories are Maps, files are output entries
+  const tree = new Map();
+  for (const entry of entries) {
+    const parts = entry.path.split("/");
+    let node = tree;
+    for (const dir of parts.slice(0, -1)) {
+      if (!node.has(dir)) node.set(dir, new Map());
+      node = node.get(dir);
+    }
+    node.set(parts.at(-1), entry);
+  }
+
+  const lines = [`${rootName}/`];
+  const walk = (node, indent) => {
+    const names = [...node.keys()].sort((a, b) => {
+      const aDir = node.get(a) instanceof Map;
+      const bDir = node.get(b) instanceof Map;
+      return aDir === bDir ? a.localeCompare(b) : aDir ? -1 : 1;
+    });
+    names.forEach((name, i) => {
+      const last = i === names.length - 1;
+      const child = node.get(name);
+      const branch = `${indent}${last ? "└── " : "├── "}`;
+      if (child instanceof Map) {
+        lines.push(`${branch}${name}/`);
+        walk(child, `${indent}${last ? "    " : "│   "}`);
+      } else {
+        lines.push(
+          `${branch}${name} ${dim(`(${formatSize(child.size)}, ${child.feature})`)}`,
+        );
+      }
+    });
+  };
+  walk(tree, "");
+
+  return lines.join("\n");
+}
@@ -0,0 +1,79 @@
+import { spawn, spawnSync } from "node:child_process";
+import { PACKAGE_MANAGERS } from "./constants.js";
+
+// Prefix that runs a locally installed binary with each package manager
+const EXEC_PREFIXES = {
+  pnpm: "pnpm exec",
+  npm: "npx --no",
+  yarn: "yarn",
+};
+
+/**
+ * The package manager that started the CLI (`pnpm create`, `yarn create`,
+ * `npm init`), read from the user agent it sets. Undefined when unknown.
+ */
+export function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const name = userAgent?.split(" ")[0]?.split("/")[0];
+  return PACKAGE_MANAGERS.includes(name) ? name : undefined;
+}
+
+export const getRunCommand = (packageManager, script) =>
+  `${packageManager} ${packageManager === "npm" ? "run " : ""}${script}`;
+
+export const getExecCommand = (packageManager, command) =>
+  `${EXEC_PREFIXES[packageManager] ?? "npx --no"} ${command}`;
+
+/**
+ * Run `<packageManager> install` in `root`. Output is collected rather than
+ * shown so a spinner can run meanwhile; it is attached to the error when the
+ * install fails.
+ */
+export function installDependencies(root, packageManager) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(packageManager, ["install"], {
+      cwd: root,
+      stdio: ["ignore", "pipe", "pipe"],
+      shell: process.platform === "win32",
+    });
+
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+
+    child.on("error", (error) => {
+      reject(
+        Object.assign(
+          new Error(
+            error.code === "ENOENT"
+              ? `${packageManager} is not installed`
+              : error.message,
+          ),
+          { output },
+        ),
+      );
+    });
+    child.on("close", (code) => {
+      if (code === 0) return resolve();
+      reject(
+        Object.assign(
+          new Error(`${packageManager} install exited with code ${code}`),
+          { output },
+        ),
+      );
+    });
+  });
+}
+
+/**
+ * Version of the installed package manager, for the `packageManager` field
+ * Turborepo and Corepack read. Undefined when it can't be run.
+ */
+export function getPackageManagerVersion(packageManager) {
+  const result = spawnSync(packageManager, ["--version"], {
+    encoding: "utf-8",
+    timeout: 10000,
+    shell: process.platform === "win32",
+  });
+  const version = result.status === 0 ? result.stdout.trim() : "";
+  return /^\d+\.\d+\.\d+/.test(version) ? version : undefined;
+}
@@ -0,0 +1,73 @@
+// Helpers for patching files a user may have edited. Every helper returns
+// null when its anchor can't be found, so callers can report a conflict
+// instead of guessing.
+
+export function insertImport(content, line) {
+  if (content.includes(line)) return content;
+
+  const lines = content.split("\n");
+  const last = lines.findLastIndex((l) => /^import\s/.test(l));
+  if (last === -1) return `${line}\n${content}`;
+
+  // Skip to the end of a multi-line import
+  let end = last;
+  while (end < lines.length && !/from\s+['"][^'"]+['"];?\s*$|^import\s+['"]/.test(lines[end])) {
+    end++;
+  }
+  if (end === lines.length) return null;
+
+  lines.splice(end + 1, 0, line);
+  return lines.join("\n");
+}
+
+export function insertAfter(content, pattern, text) {
+  const match = content.match(pattern);
+  if (!match) return null;
+
+  const index = match.index + match[0].length;
+  return content.slice(0, index) + text + content.slice(index);
+}
+
+export function replaceMatch(content, pattern, text) {
+  return pattern.test(content) ? content.replace(pattern, text) : null;
+}
+
+/**
+ * Add entries to the array that follows `key` (e.g. `plugins: [`). Entries
+ * flagged `first` are put at the start, the rest before the closing bracket.
+ */
+export function insertArrayEntries(content, key, entries, indent = "    ") {
+  const start = content.indexOf(`${key}: [`);
+  if (start === -1) return null;
+
+  const open = start + key.length + 3;
+  let depth = 1;
+  let close = open;
+  while (depth > 0 && close < content.length) {
+    const char = content[close];
+    if (char === "[" || char === "(" || char === "{") depth++;
+    if (char === "]" || char === ")" || char === "}") depth--;
+    close++;
+  }
+  if (depth !== 0) return null;
+  close--;
+
+  const body = content.slice(open, close);
+  const head = entries.filter((e) => e.first).map((e) => e.code);
+  const tail = entries.filter((e) => !e.first).map((e) => e.code);
+  const trimmed = body.replace(/\s*$/, "");
+  const separator = trimmed.trim() === "" || trimmed.endsWith(",") ? "" : ",";
+
+  const before = head.map((code) => `\n${indent}${code},`).join("");
+  const after = tail.map((code) => `\n${indent}${code},`).join("");
+
+  return (
+    content.slice(0, open) +
+    before +
+    trimmed +
+    (after ? separator + after : "") +
+    "\n" +
+    indent.slice(2) +
+    content.slice(close)
+  );
+}
@@ -0,0 +1,88 @@
+import fs from "node:fs";
+import path from "node:path";
+import YAML from "yaml";
+import { validateAnswers } from "./args.js";
+import { getAnswerNames } from "./questions.js";
+import { getConfigDir } from "./user-config.js";
+
+const PRESET_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+const isYaml = (file) => [".yaml", ".yml"].includes(path.extname(file));
+
+// A bare name such as "company-default" refers to a preset in the config dir
+const isPresetName = (source) =>
+  !/[\\/]/.test(source) && !path.extname(source);
+
+export function getPresetDir() {
+  return path.join(getConfigDir(), "presets");
+}
+
+function resolvePresetPath(source) {
+  if (!isPresetName(source)) return path.resolve(source);
+
+  const dir = getPresetDir();
+  const file = PRESET_EXTENSIONS.map((ext) =>
+    path.join(dir, `${source}${ext}`),
+  ).find((candidate) => fs.existsSync(candidate));
+  if (!file) throw new Error(`Preset "${source}" not found in ${dir}`);
+  return file;
+}
+
+/**
+ * Load a full or partial answers object from a preset file or a named preset.
+ * Values get the same checks as flags, so unknown features are reported.
+ */
+export function loadPreset(source) {
+  const file = resolvePresetPath(source);
+  if (!fs.existsSync(file)) throw new Error(`Preset file not found: ${file}`);
+
+  let preset;
+  try {
+    const text = fs.readFileSync(file, "utf-8");
+    preset = isYaml(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse preset ${file}: ${error.message}`);
+  }
+
+  if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+    throw new Error(`Preset ${file} must contain an object of answers`);
+  }
+
+  const name = path.basename(file);
+  const answerNames = getAnswerNames();
+  for (const key of Object.keys(preset)) {
+    if (!answerNames.includes(key)) {
+      throw new Error(
+        `Unknown key "${key}" in preset ${name}. Expected one of: ${answerNames.join(", ")}`,
+      );
+    }
+  }
+  validateAnswers(preset, (key) => `"${key}" in preset ${name}`);
+
+  return preset;
+}
+
+/**
+ * Write answers to a preset file (format picked from the extension) or,
+ * for a bare name, to the config dir. The project name is left out so the
+ * preset can be reused across projects.
+ */
+export function savePreset(target, answers) {
+  const file = isPresetName(target)
+    ? path.join(getPresetDir(), `${target}.json`)
+    : path.resolve(target);
+
+  const preset = Object.fromEntries(
+    getAnswerNames()
+      .filter((key) => key !== "projectName" && answers[key] !== undefined)
+      .map((key) => [key, answers[key]]),
+  );
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    isYaml(file) ? YAML.stringify(preset) : `${JSON.stringify(preset, null, 2)}\n`,
+  );
+
+  return file;
+}
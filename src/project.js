@@ -0,0 +1,78 @@
+import fs from "node:fs";
+import path from "node:path";
+import { FEATURES } from "./features/index.js";
+
+const LOCKFILES = {
+  "pnpm-lock.yaml": "pnpm",
+  "yarn.lock": "yarn",
+  "package-lock.json": "npm",
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf-8"));
+
+function detectPackageManager(root, pkg) {
+  const lockfile = Object.keys(LOCKFILES).find((file) =>
+    fs.existsSync(path.join(root, file)),
+  );
+  if (lockfile) return LOCKFILES[lockfile];
+  if (pkg.packageManager) return pkg.packageManager.split("@")[0];
+  return pkg.pnpm ? "pnpm" : "npm";
+}
+
+// Features whose `detect` hook (or, without one, whose packages) match
+function detectFeatures(root, deps) {
+  const readProjectFile = (file) => {
+    const fullPath = path.join(root, file);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf-8") : null;
+  };
+  const readProjectJson = (file) => {
+    const content = readProjectFile(file);
+    return content === null ? null : JSON.parse(content);
+  };
+
+  const features = [];
+  let answers = {};
+  for (const feature of Object.values(FEATURES)) {
+    const detected = feature.detect
+      ? feature.detect({
+          deps,
+          root,
+          readJson: readProjectJson,
+          readFile: readProjectFile,
+        })
+      : [...feature.packages, ...feature.devPackages].some((p) => p in deps);
+    if (!detected) continue;
+
+    features.push(feature.key);
+    if (typeof detected === "object") answers = { ...answers, ...detected };
+  }
+
+  return { features, answers };
+}
+
+/**
+ * Reconstruct the answers a generated project was created with, from its
+ * package.json, lockfile and feature config files.
+ */
+export function detectProject(root) {
+  const pkgPath = path.join(root, "package.json");
+  if (!fs.existsSync(pkgPath)) {
+    throw new Error(`No package.json found in ${root}`);
+  }
+
+  const pkg = readJson(pkgPath);
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  if (!deps["@tanstack/react-start"]) {
+    throw new Error(`${root} is not a TanStack Start project`);
+  }
+
+  const { features, answers } = detectFeatures(root, deps);
+
+  return {
+    projectName: pkg.name,
+    packageManager: detectPackageManager(root, pkg),
+    features,
+    initGit: fs.existsSync(path.join(root, ".gitignore")),
+    ...answers,
+  };
+}
@@ -0,0 +1,196 @@
+import { yellow } from "kolorist";
+import { PACKAGE_MANAGERS } from "./constants.js";
+import { FEATURES, getFeatures, resolveFeatures } from "./features/index.js";
+import { detectPackageManager } from "./package-manager.js";
+import { getTemplate } from "./template-source.js";
+
+// Answers used when a prompt is skipped with --yes
+const CORE_DEFAULTS = {
+  projectName: "my-tanstack-app",
+  packageManager: detectPackageManager() ?? "pnpm",
+  features: ["ui", "quality"],
+  monorepo: false,
+  turbo: true,
+  initGit: true,
+  install: true,
+};
+
+// Core defaults plus the follow-up defaults of every registered feature and
+// of the template
+export function getDefaultAnswers() {
+  const template = getTemplate();
+  const answers = Object.values(FEATURES).reduce(
+    (defaults, feature) => ({ ...feature.defaults, ...defaults }),
+    { ...template?.defaults, ...CORE_DEFAULTS },
+  );
+  if (template?.features) {
+    answers.features = answers.features.filter((key) => template.features.includes(key));
+  }
+  return answers;
+}
+
+/**
+ * Fill in defaults for every answer not given. Feature defaults may be
+ * functions of the other answers, resolved in registry order so they can
+ * read the defaults of the features before them.
+ */
+export function withDefaults(given) {
+  const answers = { ...getDefaultAnswers(), ...given };
+  for (const feature of Object.values(FEATURES)) {
+    for (const name of Object.keys(feature.defaults ?? {})) {
+      if (typeof answers[name] === "function") answers[name] = answers[name](answers);
+    }
+  }
+  return answers;
+}
+
+// Every answer name a preset may set
+export function getAnswerNames() {
+  return [
+    ...Object.keys(CORE_DEFAULTS),
+    ...Object.values(FEATURES).flatMap((feature) =>
+      feature.prompts.map((question) => question.name),
+    ),
+    ...(getTemplate()?.prompts ?? []).map((question) => question.name),
+  ];
+}
+
+export function validateProjectName(name) {
+  if (!name) return "Project name is required";
+  if (!/^[a-z0-9-_]+$/i.test(name)) {
+    return "Project name can only contain letters, numbers, dashes and underscores";
+  }
+  return true;
+}
+
+const featureNames = (keys) =>
+  keys.map((key) => FEATURES[key]?.name ?? key).join(", ");
+
+/**
+ * Apply the feature rules to a selection, printing the features that were
+ * added and the picks missing a feature they integrate with. Conflicts throw.
+ */
+export function resolveSelection(keys) {
+  const { features, added, ineffective, conflicts } = resolveFeatures(keys);
+
+  if (conflicts.length > 0) {
+    const pairs = conflicts.map((pair) => featureNames(pair).replace(", ", " and "));
+    throw new Error(`${pairs.join("; ")} can't be used together`);
+  }
+
+  added.forEach(({ key, requiredBy }) =>
+    console.log(
+      yellow(`• Added ${FEATURES[key].name} (required by ${FEATURES[requiredBy].name})`),
+    ),
+  );
+  ineffective.forEach((key) =>
+    console.log(
+      yellow(
+        `• ${FEATURES[key].name} also integrates with ${featureNames(FEATURES[key].enhances)}, which isn't selected`,
+      ),
+    ),
+  );
+
+  return features;
+}
+
+// Question properties prompts calls with the answers so far
+const DYNAMIC_PROPERTIES = ["type", "message", "initial", "choices", "hint"];
+
+/**
+ * Follow-up questions of the given features, only asked when the feature is
+ * selected: part of `selected` if given, else of the `features` answer,
+ * with the features they require. Dynamic properties see that selection as
+ * the `features` answer.
+ */
+export function getFeatureQuestions(keys = Object.keys(FEATURES), selected) {
+  const withSelected = (values) => ({
+    ...values,
+    features: resolveFeatures(selected ?? values.features ?? []).features,
+  });
+
+  return getFeatures(keys).flatMap((feature) =>
+    feature.prompts.map((question) => {
+      const wrapped = { ...question };
+      for (const name of DYNAMIC_PROPERTIES) {
+        if (typeof question[name] === "function") {
+          wrapped[name] = (prev, values, prompt) =>
+            question[name](prev, withSelected(values), prompt);
+        }
+      }
+
+      const type = wrapped.type;
+      wrapped.type = (prev, values, prompt) =>
+        withSelected(values).features.includes(feature.key)
+          ? typeof type === "function"
+            ? type(prev, values, prompt)
+            : type
+          : null;
+      return wrapped;
+    }),
+  );
+}
+
+export function getQuestions() {
+  const defaults = getDefaultAnswers();
+  const template = getTemplate();
+  // A template may only work with some of the features
+  const offered = Object.values(FEATURES).filter(
+    (feature) => !template?.features || template.features.includes(feature.key),
+  );
+
+  return [
+    {
+      type: "text",
+      name: "projectName",
+      message: "Project name:",
+      initial: defaults.projectName,
+      validate: validateProjectName,
+    },
+    {
+      type: "select",
+      name: "packageManager",
+      message: "Select a package manager:",
+      choices: PACKAGE_MANAGERS.map((pm) => ({ title: pm, value: pm })),
+      initial: PACKAGE_MANAGERS.indexOf(defaults.packageManager),
+    },
+    {
+      type: "multiselect",
+      name: "features",
+      message: "Select features to include:",
+      choices: offered.map((feature) => ({
+        title: feature.name,
+        value: feature.key,
+        description: feature.description,
+        selected: defaults.features.includes(feature.key),
+      })),
+      hint: "- Space to select. Return to submit",
+    },
+    ...getFeatureQuestions(),
+    ...(template?.prompts ?? []),
+    {
+      type: "confirm",
+      name: "monorepo",
+      message: "Create the app inside a workspace (monorepo)?",
+      initial: defaults.monorepo,
+    },
+    {
+      type: (prev, values) => (values.monorepo ? "confirm" : null),
+      name: "turbo",
+      message: "Run the workspace tasks with Turborepo?",
+      initial: defaults.turbo,
+    },
+    {
+      type: "confirm",
+      name: "initGit",
+      message: "Initialize git repository?",
+      initial: defaults.initGit,
+    },
+    {
+      type: "confirm",
+      name: "install",
+      message: (prev, values) => `Install dependencies with ${values.packageManager}?`,
+      initial: defaults.install,
+    },
+  ];
+}
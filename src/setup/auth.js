@@ -0,0 +1,477 @@
+import { indent } from "../template.js";
+
+// The signed-in user as routes see it, whichever library is behind it
+const AUTH_USER = `export type AuthUser = {
+  id: string
+  email: string
+  name: string
+}`;
+
+const HASH_IMPORT = "import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto'";
+
+const HASH_HELPERS = `const hashPassword = (password: string, salt = randomBytes(16).toString('hex')) =>
+  \`\${salt}:\${scryptSync(password, salt, 64).toString('hex')}\`
+
+const verifyPassword = (password: string, stored: string) => {
+  const [salt, hash] = stored.split(':')
+  return timingSafeEqual(Buffer.from(hash, 'hex'), scryptSync(password, salt, 64))
+}`;
+
+// Users of the built-in sessions, per store. Both seed a demo account outside
+// production, where its password would be known to everyone.
+const USER_STORES = {
+  memory: `${HASH_IMPORT}
+import type { AuthUser } from './auth'
+
+type StoredUser = AuthUser & { passwordHash: string }
+
+${HASH_HELPERS}
+
+// Lost on restart, swap it for a database before going to production
+const users: StoredUser[] =
+  process.env.NODE_ENV === 'production'
+    ? []
+    : [
+        {
+          id: '1',
+          email: 'demo@example.com',
+          name: 'Demo User',
+          passwordHash: hashPassword('password'),
+        },
+      ]
+
+const toAuthUser = ({ id, email, name }: StoredUser): AuthUser => ({ id, email, name })
+
+export function findUserById(id: string) {
+  const user = users.find((u) => u.id === id)
+  return user ? toAuthUser(user) : null
+}
+
+export function findUserByCredentials(email: string, password: string) {
+  const user = users.find((u) => u.email === email)
+  return user && verifyPassword(password, user.passwordHash) ? toAuthUser(user) : null
+}
+
+export function createUser(data: { email: string; name: string; password: string }) {
+  if (users.some((u) => u.email === data.email)) return null
+  const user = {
+    id: String(users.length + 1),
+    email: data.email,
+    name: data.name,
+    passwordHash: hashPassword(data.password),
+  }
+  users.push(user)
+  return toAuthUser(user)
+}
+`,
+  sqlite: `${HASH_IMPORT}
+import Database from 'better-sqlite3'
+import type { AuthUser } from './auth'
+
+type StoredUser = AuthUser & { passwordHash: string }
+
+${HASH_HELPERS}
+
+const db = new Database('sqlite.db')
+db.exec(\`CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  passwordHash TEXT NOT NULL
+)\`)
+if (process.env.NODE_ENV !== 'production') {
+  db.prepare('INSERT OR IGNORE INTO users (email, name, passwordHash) VALUES (?, ?, ?)').run(
+    'demo@example.com',
+    'Demo User',
+    hashPassword('password'),
+  )
+}
+
+const findByEmail = db.prepare<[string], StoredUser>('SELECT * FROM users WHERE email = ?')
+const findById = db.prepare<[string], StoredUser>('SELECT * FROM users WHERE id = ?')
+
+const toAuthUser = ({ id, email, name }: StoredUser): AuthUser => ({
+  id: String(id),
+  email,
+  name,
+})
+
+export function findUserById(id: string) {
+  const user = findById.get(id)
+  return user ? toAuthUser(user) : null
+}
+
+export function findUserByCredentials(email: string, password: string) {
+  const user = findByEmail.get(email)
+  return user && verifyPassword(password, user.passwordHash) ? toAuthUser(user) : null
+}
+
+export function createUser(data: { email: string; name: string; password: string }) {
+  if (findByEmail.get(data.email)) return null
+  const { lastInsertRowid } = db
+    .prepare('INSERT INTO users (email, name, passwordHash) VALUES (?, ?, ?)')
+    .run(data.email, data.name, hashPassword(data.password))
+  return findUserById(String(lastInsertRowid))
+}
+`,
+};
+
+// Checks shared by both libraries, on the server
+const INPUT_VALIDATORS = `type Credentials = { email: string; password: string }
+
+const validateCredentials = (data: Credentials) => {
+  if (!data.email.includes('@')) throw new Error('Enter a valid email address')
+  if (data.password.length < 8) throw new Error('Password must be at least 8 characters')
+  return data
+}`;
+
+const SESSION_AUTH = `import { createServerFn } from '@tanstack/react-start'
+import { useSession } from '@tanstack/react-start/server'
+import { serverEnv } from '@/env'
+import { createUser, findUserByCredentials, findUserById } from './users'
+
+${AUTH_USER}
+
+// SESSION_SECRET signs the cookie, src/env.ts requires it in production
+const useAppSession = () =>
+  useSession<{ userId?: string }>({
+    name: 'session',
+    password: serverEnv.SESSION_SECRET,
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+    },
+  })
+
+${INPUT_VALIDATORS}
+
+export const getCurrentUser = createServerFn({ method: 'GET' }).handler(async () => {
+  const session = await useAppSession()
+  return session.data.userId ? findUserById(session.data.userId) : null
+})
+
+export const login = createServerFn({ method: 'POST' })
+  .inputValidator(validateCredentials)
+  .handler(async ({ data }) => {
+    const user = findUserByCredentials(data.email, data.password)
+    if (!user) throw new Error('Invalid email or password')
+    const session = await useAppSession()
+    await session.update({ userId: user.id })
+    return user
+  })
+
+export const signup = createServerFn({ method: 'POST' })
+  .inputValidator((data: Credentials & { name: string }) => ({
+    ...validateCredentials(data),
+    name: data.name.trim() || data.email,
+  }))
+  .handler(async ({ data }) => {
+    const user = createUser(data)
+    if (!user) throw new Error('An account with this email already exists')
+    const session = await useAppSession()
+    await session.update({ userId: user.id })
+    return user
+  })
+
+export const logout = createServerFn({ method: 'POST' }).handler(async () => {
+  const session = await useAppSession()
+  await session.clear()
+})
+`;
+
+const BETTER_AUTH_DATABASES = {
+  memory: {
+    imports: "import { memoryAdapter } from 'better-auth/adapters/memory'",
+    comment: "// Lost on restart, swap it for a database before going to production",
+    database: "memoryAdapter({ user: [], session: [], account: [], verification: [] })",
+  },
+  sqlite: {
+    imports: "import Database from 'better-sqlite3'",
+    comment: "// Create the tables with the auth:migrate script",
+    database: "new Database('sqlite.db')",
+  },
+};
+
+const getBetterAuthConfig = (store) => {
+  const db = BETTER_AUTH_DATABASES[store];
+  return `import { betterAuth } from 'better-auth'
+import { tanstackStartCookies } from 'better-auth/tanstack-start'
+${db.imports}
+import { serverEnv } from '../env'
+
+export const auth = betterAuth({
+  secret: serverEnv.BETTER_AUTH_SECRET,
+  baseURL: serverEnv.BETTER_AUTH_URL,
+  ${db.comment}
+  database: ${db.database},
+  emailAndPassword: { enabled: true },
+  // Lets server functions set the session cookie, keep it last
+  plugins: [tanstackStartCookies()],
+})
+`;
+};
+
+const BETTER_AUTH = `import { createServerFn } from '@tanstack/react-start'
+import { getRequestHeaders } from '@tanstack/react-start/server'
+import { auth } from './better-auth'
+
+${AUTH_USER}
+
+${INPUT_VALIDATORS}
+
+const toAuthUser = ({ id, email, name }: AuthUser): AuthUser => ({ id, email, name })
+
+export const getCurrentUser = createServerFn({ method: 'GET' }).handler(async () => {
+  const session = await auth.api.getSession({ headers: getRequestHeaders() })
+  return session ? toAuthUser(session.user) : null
+})
+
+export const login = createServerFn({ method: 'POST' })
+  .inputValidator(validateCredentials)
+  .handler(async ({ data }) => {
+    const { user } = await auth.api.signInEmail({ body: data })
+    return toAuthUser(user)
+  })
+
+export const signup = createServerFn({ method: 'POST' })
+  .inputValidator((data: Credentials & { name: string }) => ({
+    ...validateCredentials(data),
+    name: data.name.trim() || data.email,
+  }))
+  .handler(async ({ data }) => {
+    const { user } = await auth.api.signUpEmail({ body: data })
+    return toAuthUser(user)
+  })
+
+export const logout = createServerFn({ method: 'POST' }).handler(async () => {
+  await auth.api.signOut({ headers: getRequestHeaders() })
+})
+`;
+
+// Better Auth's own endpoints, for its client and OAuth callbacks
+const BETTER_AUTH_ROUTE = `import { createFileRoute } from '@tanstack/react-router'
+import { auth } from '@/server/better-auth'
+
+export const Route = createFileRoute('/api/auth/$')({
+  server: {
+    handlers: {
+      GET: ({ request }) => auth.handler(request),
+      POST: ({ request }) => auth.handler(request),
+    },
+  },
+})
+`;
+
+const AUTHED_ROUTE = `import { createFileRoute, redirect } from '@tanstack/react-router'
+import { getCurrentUser } from '@/server/auth'
+
+// Layout of the routes that need a signed-in user, in src/routes/_authed/
+export const Route = createFileRoute('/_authed')({
+  beforeLoad: async ({ location }) => {
+    const user = await getCurrentUser()
+    if (!user) {
+      throw redirect({ to: '/login', search: { redirect: location.href } })
+    }
+    // Child routes read it with Route.useRouteContext()
+    return { user }
+  },
+})
+`;
+
+const DASHBOARD_ROUTE = `import { createFileRoute, Link } from '@tanstack/react-router'
+
+export const Route = createFileRoute('/_authed/dashboard')({
+  component: Dashboard,
+})
+
+function Dashboard() {
+  const { user } = Route.useRouteContext()
+
+  return (
+    <div className="mx-auto max-w-md p-8">
+      <h1 className="mb-2 text-2xl font-bold">Dashboard</h1>
+      <p className="mb-6">Signed in as {user.name} ({user.email})</p>
+      <Link to="/logout" className="underline">
+        Sign out
+      </Link>
+    </div>
+  )
+}
+`;
+
+const LOGOUT_ROUTE = `import { createFileRoute, redirect } from '@tanstack/react-router'
+import { logout } from '@/server/auth'
+
+export const Route = createFileRoute('/logout')({
+  // Hovering a link to this route must not sign the user out
+  preload: false,
+  beforeLoad: async () => {
+    await logout()
+    throw redirect({ to: '/' })
+  },
+})
+`;
+
+// Form fields with the UI template's components or plain elements, indented
+// where they go in the form
+const getField = (withUI, { name, label, type }) =>
+  withUI
+    ? `<div className="grid gap-2">
+  <Label htmlFor="${name}">${label}</Label>
+  <Input id="${name}" name="${name}" type="${type}" required />
+</div>`
+    : `<label className="grid gap-1 text-sm font-medium">
+  ${label}
+  <input
+    name="${name}"
+    type="${type}"
+    required
+    className="rounded-md border px-3 py-2 text-sm"
+  />
+</label>`;
+
+const getLoginRoute = (withUI) => {
+  const fields = {
+    name: getField(withUI, { name: "name", label: "Name", type: "text" }),
+    email: getField(withUI, { name: "email", label: "Email", type: "email" }),
+    password: getField(withUI, {
+      name: "password",
+      label: "Password",
+      type: "password",
+    }),
+  };
+  const submit = withUI
+    ? `<Button type="submit" disabled={pending}>
+  {mode === 'login' ? 'Sign in' : 'Create account'}
+</Button>`
+    : `<button
+  type="submit"
+  disabled={pending}
+  className="rounded-md bg-black px-4 py-2 text-white disabled:opacity-50"
+>
+  {mode === 'login' ? 'Sign in' : 'Create account'}
+</button>`;
+  const title = "{mode === 'login' ? 'Sign in' : 'Create an account'}";
+
+  return `import { createFileRoute, redirect, useNavigate, useRouter } from '@tanstack/react-router'
+import { useState } from 'react'
+${
+  withUI
+    ? `import { Button } from '@/components/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/card'
+import { Input } from '@/components/input'
+import { Label } from '@/components/label'
+`
+    : ""
+}import { getCurrentUser, login, signup } from '@/server/auth'
+
+// Only paths on this site, so a crafted link can't send users elsewhere
+// after they sign in ("//host" and "/\\host" point at other sites)
+const isLocalPath = (value: unknown): value is string =>
+  typeof value === 'string' && /^\\/(?![/\\\\])/.test(value)
+
+export const Route = createFileRoute('/login')({
+  validateSearch: (search: Record<string, unknown>) => ({
+    redirect: isLocalPath(search.redirect) ? search.redirect : undefined,
+  }),
+  beforeLoad: async ({ search }) => {
+    if (await getCurrentUser()) {
+      throw redirect({ href: search.redirect ?? '/dashboard' })
+    }
+  },
+  component: Login,
+})
+
+function Login() {
+  const search = Route.useSearch()
+  const router = useRouter()
+  const navigate = useNavigate()
+  const [mode, setMode] = useState<'login' | 'signup'>('login')
+  const [error, setError] = useState<string | null>(null)
+  const [pending, setPending] = useState(false)
+
+  const onSubmit = async (event: React.FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    const form = new FormData(event.currentTarget)
+    const credentials = {
+      email: String(form.get('email')),
+      password: String(form.get('password')),
+    }
+    setPending(true)
+    setError(null)
+    try {
+      if (mode === 'login') {
+        await login({ data: credentials })
+      } else {
+        await signup({ data: { ...credentials, name: String(form.get('name')) } })
+      }
+      // Rerun beforeLoad hooks, which now see the session
+      await router.invalidate()
+      await navigate({ href: search.redirect ?? '/dashboard' })
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Something went wrong')
+    } finally {
+      setPending(false)
+    }
+  }
+
+  const form = (
+    <form className="grid gap-4" onSubmit={onSubmit}>
+      {mode === 'signup' && (
+${indent(fields.name, "        ")}
+      )}
+${indent(fields.email, "      ")}
+${indent(fields.password, "      ")}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+${indent(submit, "      ")}
+      <button
+        type="button"
+        className="text-sm underline"
+        onClick={() => setMode(mode === 'login' ? 'signup' : 'login')}
+      >
+        {mode === 'login' ? 'Need an account? Sign up' : 'Have an account? Sign in'}
+      </button>
+    </form>
+  )
+
+  return (
+    <div className="mx-auto max-w-sm p-8">
+${
+  withUI
+    ? `      <Card>
+        <CardHeader>
+          <CardTitle>${title}</CardTitle>
+        </CardHeader>
+        <CardContent>{form}</CardContent>
+      </Card>`
+    : `      <h1 className="mb-6 text-2xl font-bold">${title}</h1>
+      {form}`
+}
+    </div>
+  )
+}
+`;
+};
+
+/**
+ * Write cookie-based auth: server functions for the current user, login,
+ * signup and logout on top of the chosen library and user store, a
+ * _authed layout guarding its child routes, and login, logout and
+ * dashboard routes.
+ */
+export function createAuthSetup(out, { authLib, authStore, withUI }) {
+  if (authLib === "better-auth") {
+    out.write("src/server/better-auth.ts", getBetterAuthConfig(authStore));
+    out.write("src/server/auth.ts", BETTER_AUTH);
+    out.write("src/routes/api/auth/$.ts", BETTER_AUTH_ROUTE);
+  } else {
+    out.write("src/server/users.ts", USER_STORES[authStore]);
+    out.write("src/server/auth.ts", SESSION_AUTH);
+  }
+
+  out.write("src/routes/_authed.tsx", AUTHED_ROUTE);
+  out.write("src/routes/_authed/dashboard.tsx", DASHBOARD_ROUTE);
+  out.write("src/routes/login.tsx", getLoginRoute(withUI));
+  out.write("src/routes/logout.tsx", LOGOUT_ROUTE);
+}
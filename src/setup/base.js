@@ -1,90 +1,180 @@
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { getFeatures } from "../features/index.js";
+import { insertAfter, insertImport, replaceMatch } from "../patch.js";
+import { getAnswerNames } from "../questions.js";
+import { MANIFEST_FILE } from "../template-source.js";
+import {
+  getCloseTag,
+  getSlotEntries,
+  indent,
+  renderTemplate,
+  renderTemplateDir,
+} from "../template.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export function createBaseStructure(root, features) {
-  const templateDir = path.resolve(__dirname, "../../templates/base");
+// Base files with slots, which the `add` command patches when edited
+export const TEMPLATE_FILES = [
+  "src/server.ts",
+  "src/router.tsx",
+  "src/routes/__root.tsx",
+  "src/routes/index.tsx",
+];
 
-  // Helper to copy directory recursively
-  const copyDir = (src, dest) => {
-    fs.mkdirSync(dest, { recursive: true });
-    const entries = fs.readdirSync(src, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const srcPath = path.join(src, entry.name);
-      const destPath = path.join(dest, entry.name);
-
-      if (entry.isDirectory()) {
-        copyDir(srcPath, destPath);
-      } else {
-        // Special handling for files that need processing
-        if (entry.name === "server.ts" || entry.name === "router.tsx" || entry.name === "__root.tsx") {
-          fs.writeFileSync(destPath, processTemplate(srcPath, entry.name));
-        } else if (entry.name === "routeTree.gen.ts") {
-           fs.copyFileSync(srcPath, destPath);
-        } else {
-          fs.copyFileSync(srcPath, destPath);
-        }
-      }
+/**
+ * The entries the features put in each slot of `file`, in registry order
+ */
+export function getSlots(features, file, ctx) {
+  const slots = {};
+  for (const feature of features) {
+    const fileSlots = feature.slots?.(ctx)?.[file] ?? {};
+    for (const [name, entries] of Object.entries(fileSlots)) {
+      slots[name] = [...(slots[name] ?? []), ...entries];
     }
+  }
+  return slots;
+}
+
+// Files of a --template that aren't copied as they are
+const TEMPLATE_IGNORE = [MANIFEST_FILE, "package.json", ".git", "node_modules"];
+
+// The dependencies and scripts of a template's package.json are added to the
+// generated one, which keeps the packages and scripts of the features
+function mergeTemplatePackage(out, template, ctx) {
+  const file = path.join(template.dir, "package.json");
+  if (!fs.existsSync(file)) return;
+
+  const templatePkg = JSON.parse(
+    renderTemplate(fs.readFileSync(file, "utf-8"), {
+      file: `${path.basename(template.dir)}/package.json`,
+      values: ctx,
+      variables: getAnswerNames(),
+    }),
+  );
+  const pkg = JSON.parse(out.read("package.json"));
+  for (const field of ["scripts", "dependencies", "devDependencies"]) {
+    if (templatePkg[field]) pkg[field] = { ...pkg[field], ...templatePkg[field] };
+  }
+  out.writeJson("package.json", pkg);
+}
+
+/**
+ * Render templates/base, or a custom template (`ctx.template`) instead of
+ * or over it. Both get the same answers and slots. The config files,
+ * README and .gitignore are generated afterwards and win over a template's.
+ */
+export function createBaseStructure(out, ctx) {
+  const templateDir = path.resolve(__dirname, "../../templates/base");
+  const features = getFeatures(ctx.features);
+  const options = {
+    values: ctx,
+    getSlots: (file) => getSlots(features, file, ctx),
   };
 
-  // Helper to read and process template
-  const processTemplate = (filePath, fileName) => {
-    let content = fs.readFileSync(filePath, "utf-8");
+  if (ctx.template?.mode !== "replace") {
+    renderTemplateDir(out, templateDir, options);
+  }
+  if (ctx.template) {
+    renderTemplateDir(out.scope("template"), ctx.template.dir, {
+      ...options,
+      ignore: TEMPLATE_IGNORE,
+      // Only answers are replaced, other {{word}} are JSX like value={{user}}
+      variables: getAnswerNames(),
+    });
+    mergeTemplatePackage(out, ctx.template, ctx);
+  }
+}
 
-    if (features.includes("i18n")) {
-      if (fileName === "server.ts") {
-        content = content.replace(
-          "// {{I18N_IMPORTS}}",
-          `import { paraglideMiddleware } from './paraglide/server'`
-        );
-        content = content.replace(
-          "// {{I18N_FETCH}}",
-          `return paraglideMiddleware(req, ({ request }) => handler.fetch(request))`
-        );
-        // Remove default fetch if i18n is enabled (since we replaced it)
-        content = content.replace("return handler.fetch(req);", "");
-      } else if (fileName === "router.tsx") {
-        content = content.replace(
-          "// {{I18N_IMPORTS}}",
-          `import { deLocalizeUrl, localizeUrl } from './paraglide/runtime'`
-        );
-        content = content.replace(
-          "// {{I18N_REWRITE}}",
-          `rewrite: {
-      input: ({ url }) => deLocalizeUrl(url),
-      output: ({ url }) => localizeUrl(url),
-    },`
-        );
-      } else if (fileName === "__root.tsx") {
-        content = content.replace(
-          "// {{I18N_IMPORTS}}",
-          `import { getLocale } from '../paraglide/runtime'`
-        );
-        content = content.replace(
-          "// {{I18N_LOCALE_HOOK}}",
-          `const currentLocale = getLocale()`
-        );
-        content = content.replace(
-          "// {{I18N_LOCALE_PROP}}",
-          `locale={currentLocale}`
+// Put a wrapper around the line matching `pattern`, keeping its indentation
+const wrapLine = (pattern) => (content, entry) =>
+  replaceMatch(
+    content,
+    pattern,
+    (line, lead) =>
+      `${lead}${entry.code}\n  ${line}\n${lead}${getCloseTag(entry)}`,
+  );
+
+// The export of a server.ts with middleware, see templates/base/src/server.ts
+const MIDDLEWARE_SERVER = `type Fetch = (req: Request) => Response | Promise<Response>;
+
+// Runs in order before the app, each one passes the request on with next()
+const middleware: ((req: Request, next: Fetch) => Response | Promise<Response>)[] = [
+];
+
+export default {
+  fetch: middleware.reduceRight<Fetch>(
+    (next, run) => (req) => run(req, next),
+    (req) => handler.fetch(req),
+  ),
+};`;
+
+// Where each slot's entries go in a rendered file whose markers are gone
+const SLOT_ANCHORS = {
+  imports: (content, { code }) =>
+    code.split("\n").reduce((result, line) => result && insertImport(result, line), content),
+  middleware: (content, { code }) => {
+    // Without middleware yet, the plain handler is replaced first
+    const server = content.includes("const middleware")
+      ? content
+      : replaceMatch(
+          content,
+          /export default \{\n\s*fetch\(req: Request\)[^{]*\{\n\s*return handler\.fetch\(req\);?\n\s*\},?\n\};?/,
+          MIDDLEWARE_SERVER,
         );
-      }
-    } else {
-      // Remove placeholders if feature not enabled
-      content = content.replace("// {{I18N_IMPORTS}}", "");
-      content = content.replace("// {{I18N_FETCH}}", "");
-      content = content.replace("// {{I18N_REWRITE}}", "");
-      content = content.replace("// {{I18N_LOCALE_HOOK}}", "");
-      content = content.replace("// {{I18N_LOCALE_PROP}}", "");
-    }
+    return server && insertAfter(server, /const middleware\b.*\[\n/, `${indent(code, "  ")}\n`);
+  },
+  routerOptions: (content, { code }) =>
+    insertAfter(content, /createTanStackRouter\(\{\n/, `${indent(code, "    ")}\n`),
+  routeOptions: (content, { code }) =>
+    insertAfter(content, /createRootRouteWithContext<.*>\(\)\(\{\n/, `${indent(code, "  ")}\n`),
+  documentHooks: (content, { code }) =>
+    insertAfter(content, /function RootDocument\(.*\) \{\n/, `${indent(code, "  ")}\n`),
+  htmlAttributes: (content, { code }) => replaceMatch(content, /<html\b/, `<html ${code}`),
+  head: (content, { code }) =>
+    replaceMatch(content, /^( *)<HeadContent \/>$/m, (line, lead) => `${line}\n${indent(code, lead)}`),
+  providers: wrapLine(/^( *)<Outlet \/>$/m),
+  document: wrapLine(/^( *)\{children\}$/m),
+  body: (content, { code }) =>
+    replaceMatch(content, /^( *)\{children\}$/m, (line, lead) => `${line}\n${indent(code, lead)}`),
+};
 
-    return content;
-  };
+// Whether the code of an entry is already in the file, at any indentation
+const hasCode = (content, code) => {
+  const codeLines = code.split("\n").map((line) => line.trim());
+  if (codeLines.length === 1) return content.includes(codeLines[0]);
+
+  const lines = content.split("\n").map((line) => line.trim());
+  const first = lines.indexOf(codeLines[0]);
+  return first !== -1 && codeLines.every((line, i) => lines[first + i] === line);
+};
+
+// Slots that wrap a line, whose first entry is the outermost element
+const WRAP_SLOTS = ["providers", "document"];
 
-  // Copy everything from templates/base to root
-  copyDir(templateDir, root);
+/**
+ * Put the entries of `slots` in a base file the user has edited. Returns
+ * null when an anchor can't be found.
+ */
+export function patchSlots(content, slots) {
+  if (Object.keys(slots).some((name) => !SLOT_ANCHORS[name])) return null;
+
+  let patched = content;
+  // In anchor order, so wrappers are in place before what goes inside them
+  for (const [name, anchor] of Object.entries(SLOT_ANCHORS)) {
+    const pending = getSlotEntries(slots, name).filter(
+      (entry) => !hasCode(patched, entry.code),
+    );
+
+    // Entries go in right at their anchor, so the ones that don't wrap are
+    // applied in reverse to end up in slot order. Imports are appended.
+    const sequence =
+      name === "imports" || WRAP_SLOTS.includes(name) ? pending : pending.reverse();
+    for (const entry of sequence) {
+      patched = anchor(patched, entry);
+      if (patched === null) return null;
+    }
+  }
+  return patched;
 }
@@ -0,0 +1,139 @@
+// Server functions run on the server only, the client calls them over RPC
+const SERVER_POSTS = `import { createServerFn } from '@tanstack/react-start'
+
+export type Post = {
+  id: number
+  title: string
+}
+
+// In memory so the example runs as is, swap it for a database or an API
+const posts: Post[] = [
+  { id: 1, title: 'Getting started with TanStack Start' },
+  { id: 2, title: 'Loading data with server functions' },
+]
+
+export const getPosts = createServerFn({ method: 'GET' }).handler(async () => posts)
+
+export const addPost = createServerFn({ method: 'POST' })
+  .inputValidator((data: { title: string }) => {
+    const title = data.title.trim()
+    if (!title) throw new Error('Title is required')
+    return { title }
+  })
+  .handler(async ({ data }) => {
+    const post = { id: posts.length + 1, title: data.title }
+    posts.push(post)
+    return post
+  })
+`;
+
+const POST_QUERIES = `import { queryOptions } from '@tanstack/react-query'
+import { getPosts } from '@/server/posts'
+
+// Shared by loaders, components and invalidation, so the key lives in one place
+export const postsQueryOptions = () =>
+  queryOptions({
+    queryKey: ['posts'],
+    queryFn: () => getPosts(),
+  })
+`;
+
+const getPostsRoute = (withUI) => `import { useMutation, useQueryClient, useSuspenseQuery } from '@tanstack/react-query'
+import { createFileRoute, type ErrorComponentProps, useRouter } from '@tanstack/react-router'
+import { useState } from 'react'
+${withUI ? "import { Button } from '@/components/button'\n" : ""}import { postsQueryOptions } from '@/queries/posts'
+import { addPost } from '@/server/posts'
+
+export const Route = createFileRoute('/posts')({
+  // Fetched during SSR and dehydrated, the component reads it from the cache
+  loader: ({ context }) => context.queryClient.ensureQueryData(postsQueryOptions()),
+  pendingComponent: () => <p className="p-8">Loading posts...</p>,
+  errorComponent: PostsError,
+  component: Posts,
+})
+
+function Posts() {
+  const { data: posts } = useSuspenseQuery(postsQueryOptions())
+  const queryClient = useQueryClient()
+  const [title, setTitle] = useState('')
+
+  const mutation = useMutation({
+    mutationFn: (title: string) => addPost({ data: { title } }),
+    onSuccess: () => {
+      setTitle('')
+      return queryClient.invalidateQueries({ queryKey: postsQueryOptions().queryKey })
+    },
+  })
+
+  return (
+    <div className="mx-auto max-w-md p-8">
+      <h1 className="mb-6 text-2xl font-bold">Posts</h1>
+      <ul className="mb-6 list-disc pl-5">
+        {posts.map((post) => (
+          <li key={post.id}>{post.title}</li>
+        ))}
+      </ul>
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault()
+          mutation.mutate(title)
+        }}
+      >
+        <input
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="New post title"
+          className="flex-1 rounded-md border px-3 py-2 text-sm"
+        />
+        ${
+          withUI
+            ? `<Button type="submit" disabled={mutation.isPending}>
+          Add
+        </Button>`
+            : `<button
+          type="submit"
+          disabled={mutation.isPending}
+          className="rounded-md bg-black px-4 py-2 text-white disabled:opacity-50"
+        >
+          Add
+        </button>`
+        }
+      </form>
+      {mutation.error && <p className="mt-2 text-sm text-red-600">{mutation.error.message}</p>}
+    </div>
+  )
+}
+
+function PostsError({ error, reset }: ErrorComponentProps) {
+  const router = useRouter()
+  const message = error instanceof Error ? error.message : String(error)
+
+  return (
+    <div className="p-8">
+      <p className="mb-4">Couldn't load posts: {message}</p>
+      <button
+        type="button"
+        className="underline"
+        onClick={() => {
+          reset()
+          router.invalidate()
+        }}
+      >
+        Try again
+      </button>
+    </div>
+  )
+}
+`;
+
+/**
+ * Write data loading examples: server functions in src/server, query
+ * options factories in src/queries and a /posts route that loads through
+ * the router's query client.
+ */
+export function createDataSetup(out, { withUI }) {
+  out.write("src/server/posts.ts", SERVER_POSTS);
+  out.write("src/queries/posts.ts", POST_QUERIES);
+  out.write("src/routes/posts.tsx", getPostsRoute(withUI));
+}
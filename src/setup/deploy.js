@@ -0,0 +1,154 @@
+import { getFeatures } from "../features/index.js";
+import { getWorkerVars } from "../generators/env.js";
+import { getRunCommand } from "../package-manager.js";
+
+// Node, Vercel and Bun builds go through Nitro with the matching preset
+const nitroPlugin = (preset) => ({
+  import: "import { nitroV2Plugin } from '@tanstack/nitro-v2-vite-plugin'",
+  code: `nitroV2Plugin({ preset: '${preset}' })`,
+});
+
+// Read by the Nitro server, not by the app
+const SERVER_ENV = [
+  { name: "HOST", description: "Address the server listens on", default: "0.0.0.0", app: false },
+  { name: "PORT", description: "Port the server listens on", default: "3000", app: false },
+];
+
+/**
+ * Everything a deployment target adds: dev packages, the Vite plugin that
+ * builds for it, package.json scripts, its platform config files, extra
+ * .gitignore lines and environment variables, and code for the server entry.
+ */
+export const DEPLOY_TARGETS = {
+  cloudflare: {
+    name: "Cloudflare Workers",
+    devPackages: ["@cloudflare/vite-plugin", "wrangler"],
+    vitePlugin: {
+      pre: true,
+      import: "import { cloudflare } from '@cloudflare/vite-plugin'",
+      code: "cloudflare({ viteEnvironment: { name: 'ssr' } })",
+    },
+    scripts: (packageManager) => ({
+      start: "vite preview",
+      preview: "vite preview",
+      deploy: `${getRunCommand(packageManager, "build")} && wrangler deploy`,
+      "cf-typegen": "wrangler types",
+    }),
+    files: (out, ctx) => {
+      const { vars, secrets } = getWorkerVars(ctx);
+      out.write(
+        "wrangler.jsonc",
+        JSON.stringify(
+          Object.assign(
+            {
+              $schema: "node_modules/wrangler/config-schema.json",
+              name: ctx.projectName,
+              compatibility_date: "2025-02-14",
+              // src/env.ts reads vars and secrets from process.env
+              compatibility_flags: ["nodejs_compat", "nodejs_compat_populate_process_env"],
+              main: "./src/server.ts",
+              vars,
+            },
+            // Bindings other features need, e.g. a D1 database
+            ...getFeatures(ctx.features).map((feature) => feature.wrangler?.(ctx)),
+          ),
+          null,
+          2,
+        ),
+      );
+      // wrangler dev reads local secrets from .dev.vars, not .env
+      out.write(
+        ".dev.vars.example",
+        `# Local secrets for wrangler dev, copy this file to .dev.vars. In production
+# set them with wrangler secret put <NAME>
+${secrets.map((secret) => `# ${secret.description}\n${secret.name}=\n`).join("")}`,
+      );
+    },
+    gitignore: [".wrangler", ".dev.vars"],
+    env: [],
+  },
+  node: {
+    name: "Node.js server",
+    devPackages: ["@tanstack/nitro-v2-vite-plugin"],
+    vitePlugin: nitroPlugin("node-server"),
+    scripts: () => ({
+      start: "node .output/server/index.mjs",
+      preview: "vite preview",
+    }),
+    gitignore: [".nitro"],
+    env: SERVER_ENV,
+  },
+  netlify: {
+    name: "Netlify",
+    devPackages: ["@netlify/vite-plugin-tanstack-start"],
+    vitePlugin: {
+      import: "import netlify from '@netlify/vite-plugin-tanstack-start'",
+      code: "netlify()",
+    },
+    scripts: () => ({
+      start: "vite preview",
+      preview: "vite preview",
+      deploy: "npx netlify-cli deploy --build --prod",
+    }),
+    files: (out, { packageManager }) => {
+      out.write(
+        "netlify.toml",
+        `[build]
+  command = "${getRunCommand(packageManager, "build")}"
+  publish = "dist/client"
+
+[dev]
+  command = "${getRunCommand(packageManager, "dev")}"
+  targetPort = 3000
+`,
+      );
+    },
+    gitignore: [".netlify"],
+    // Netlify runs the server and sets its URL and context variables itself
+    env: [],
+  },
+  vercel: {
+    name: "Vercel",
+    devPackages: ["@tanstack/nitro-v2-vite-plugin"],
+    vitePlugin: nitroPlugin("vercel"),
+    scripts: () => ({
+      start: "vite preview",
+      preview: "vite preview",
+      deploy: "npx vercel deploy --prod",
+    }),
+    files: (out, { packageManager }) => {
+      out.write(
+        "vercel.json",
+        JSON.stringify(
+          {
+            $schema: "https://openapi.vercel.sh/vercel.json",
+            framework: null,
+            buildCommand: getRunCommand(packageManager, "build"),
+          },
+          null,
+          2,
+        ),
+      );
+    },
+    gitignore: [".vercel", ".nitro"],
+    // Vercel runs the server and sets its VERCEL_* variables itself
+    env: [],
+  },
+  bun: {
+    name: "Bun server",
+    devPackages: ["@tanstack/nitro-v2-vite-plugin"],
+    vitePlugin: nitroPlugin("bun"),
+    scripts: () => ({
+      start: "bun run .output/server/index.mjs",
+      preview: "vite preview",
+    }),
+    gitignore: [".nitro"],
+    env: SERVER_ENV,
+  },
+};
+
+export const getDeployTarget = (key) => DEPLOY_TARGETS[key] ?? DEPLOY_TARGETS.cloudflare;
+
+export function createDeploySetup(out, target, ctx) {
+  target.files?.(out, ctx);
+}
@@ -0,0 +1,113 @@
+import YAML from "yaml";
+import { getFeatures } from "../features/index.js";
+import { getGitignore } from "../generators/config.js";
+
+// Lockfile and install command used in the deps stage, per package manager
+const INSTALL = {
+  pnpm: { lockfile: "pnpm-lock.yaml", command: "pnpm install --frozen-lockfile" },
+  npm: { lockfile: "package-lock.json", command: "npm ci" },
+  yarn: { lockfile: "yarn.lock", command: "yarn install --frozen-lockfile" },
+};
+
+// Image and command that run the Nitro server build
+const RUNTIMES = {
+  node: {
+    image: "node:22-alpine",
+    user: "node",
+    command: '["node", ".output/server/index.mjs"]',
+  },
+  bun: {
+    image: "oven/bun:1-alpine",
+    user: "bun",
+    command: '["bun", "run", ".output/server/index.mjs"]',
+  },
+};
+
+// Never worth sending to the Docker daemon, on top of the .gitignore entries
+const DOCKER_IGNORE = [".git", "Dockerfile", ".dockerignore", "docker-compose.yml"];
+
+function getDockerfile(packageManager, runtime) {
+  const install = INSTALL[packageManager] ?? INSTALL.npm;
+  // npm ships with Node, pnpm and yarn come through corepack
+  const corepack =
+    packageManager === "npm"
+      ? ""
+      : `ENV COREPACK_ENABLE_DOWNLOAD_PROMPT=0
+RUN corepack enable
+`;
+
+  return `# syntax=docker/dockerfile:1
+
+FROM node:22-alpine AS base
+WORKDIR /app
+${corepack}
+# Install dependencies from the lockfile only, so this layer stays cached
+FROM base AS deps
+COPY package.json ${install.lockfile} ./
+RUN ${install.command}
+
+FROM base AS build
+COPY --from=deps /app/node_modules ./node_modules
+COPY . .
+RUN ${packageManager} run build
+
+# The server build bundles its dependencies, node_modules isn't needed
+FROM ${runtime.image} AS runtime
+WORKDIR /app
+# The server runs as ${runtime.user} and may create SQLite files in /app
+RUN chown ${runtime.user}:${runtime.user} /app
+ENV NODE_ENV=production HOST=0.0.0.0 PORT=3000
+COPY --from=build --chown=${runtime.user}:${runtime.user} /app/.output ./.output
+USER ${runtime.user}
+EXPOSE 3000
+HEALTHCHECK --interval=30s --timeout=5s --start-period=10s \\
+  CMD wget -qO- http://127.0.0.1:3000/api/health || exit 1
+CMD ${runtime.command}
+`;
+}
+
+// Named volumes ("db-data:/var/lib/...") the services mount, which compose
+// needs declared at the top level
+const getNamedVolumes = (services) =>
+  Object.values(services)
+    .flatMap((service) => service.volumes ?? [])
+    .map((volume) => volume.split(":")[0])
+    .filter((source) => /^[\w-]+$/.test(source));
+
+// The app plus the local services other features declare, e.g. a database
+function getCompose(ctx) {
+  const { app = {}, ...services } = Object.assign(
+    {},
+    ...getFeatures(ctx.features).map((feature) => feature.composeServices?.(ctx)),
+  );
+  const dependsOn = Object.keys(services);
+  const volumes = getNamedVolumes(services);
+
+  return YAML.stringify({
+    services: {
+      app: {
+        build: ".",
+        ports: ["3000:3000"],
+        env_file: [{ path: ".env", required: false }],
+        ...app,
+        ...(dependsOn.length > 0 && { depends_on: dependsOn }),
+        restart: "unless-stopped",
+      },
+      ...services,
+    },
+    ...(volumes.length > 0 && {
+      volumes: Object.fromEntries(volumes.map((volume) => [volume, {}])),
+    }),
+  });
+}
+
+export function createDockerSetup(out, ctx) {
+  const runtime = RUNTIMES[ctx.deployTarget] ?? RUNTIMES.node;
+
+  out.write("Dockerfile", getDockerfile(ctx.packageManager, runtime));
+  out.write(
+    ".dockerignore",
+    `${getGitignore(ctx)}${DOCKER_IGNORE.map((entry) => `${entry}\n`).join("")}`,
+  );
+  out.write("docker-compose.yml", getCompose(ctx));
+}
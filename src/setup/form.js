@@ -0,0 +1,239 @@
+// The contact schema for each validator, with its inferred input type
+const SCHEMAS = {
+  zod: `import { z } from 'zod'
+
+export const contactSchema = z.object({
+  name: z.string().min(2, 'Name must be at least 2 characters'),
+  email: z.email('Enter a valid email address'),
+  message: z.string().min(10, 'Message must be at least 10 characters'),
+})
+
+export type ContactInput = z.infer<typeof contactSchema>
+`,
+  arktype: `import { type } from 'arktype'
+
+export const contactSchema = type({
+  name: 'string >= 2',
+  email: 'string.email',
+  message: 'string >= 10',
+})
+
+export type ContactInput = typeof contactSchema.infer
+`,
+  none: `export type ContactInput = {
+  name: string
+  email: string
+  message: string
+}
+
+const EMAIL_PATTERN = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/
+
+// Field errors for an invalid message, undefined when it is valid
+export function validateContact(value: ContactInput) {
+  const errors: Partial<Record<keyof ContactInput, string>> = {}
+  if (value.name.trim().length < 2) {
+    errors.name = 'Name must be at least 2 characters'
+  }
+  if (!EMAIL_PATTERN.test(value.email)) {
+    errors.email = 'Enter a valid email address'
+  }
+  if (value.message.trim().length < 10) {
+    errors.message = 'Message must be at least 10 characters'
+  }
+  return Object.keys(errors).length > 0 ? errors : undefined
+}
+`,
+};
+
+// Both validators implement Standard Schema, which TanStack Form and
+// createServerFn accept as is
+const VALIDATION = {
+  schema: {
+    imports: "import { contactSchema, type ContactInput } from '@/schemas/contact'",
+    form: "onChange: contactSchema",
+    server: "contactSchema",
+  },
+  none: {
+    imports: "import { type ContactInput, validateContact } from '@/schemas/contact'",
+    form: `onChange: ({ value }) => {
+      const fields = validateContact(value)
+      return fields && { fields }
+    }`,
+    server: `(data: ContactInput) => {
+    if (validateContact(data)) throw new Error('Invalid contact message')
+    return data
+  }`,
+  },
+};
+
+const getTextField = (withUI) => `import type { AnyFieldApi } from '@tanstack/react-form'
+${
+  withUI
+    ? `
+import { Input } from '@/components/input'
+import { Label } from '@/components/label'
+`
+    : ""
+}
+type TextFieldProps = {
+  field: AnyFieldApi
+  label: string
+  type?: string
+  multiline?: boolean
+}
+
+// Validators return strings, schemas return issues with a message
+const getErrorMessage = (error: unknown) =>
+  typeof error === 'string' ? error : (error as { message?: string })?.message
+
+export function TextField({
+  field,
+  label,
+  type = 'text',
+  multiline = false,
+}: TextFieldProps) {
+  const { errors, isTouched } = field.state.meta
+  const error = isTouched && errors.length > 0 ? getErrorMessage(errors[0]) : null
+  const props = {
+    id: field.name,
+    name: field.name,
+    value: field.state.value,
+    onBlur: field.handleBlur,
+    'aria-invalid': Boolean(error),
+  }
+
+  return (
+    <div className="grid gap-2">
+${
+  withUI
+    ? `      <Label htmlFor={field.name}>{label}</Label>
+      {multiline ? (
+        <textarea
+          {...props}
+          rows={5}
+          className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+          onChange={(e) => field.handleChange(e.target.value)}
+        />
+      ) : (
+        <Input
+          {...props}
+          type={type}
+          onChange={(e) => field.handleChange(e.target.value)}
+        />
+      )}
+      {error && <p className="text-sm text-destructive">{error}</p>}`
+    : `      <label htmlFor={field.name} className="text-sm font-medium">
+        {label}
+      </label>
+      {multiline ? (
+        <textarea
+          {...props}
+          rows={5}
+          className="rounded-md border px-3 py-2 text-sm"
+          onChange={(e) => field.handleChange(e.target.value)}
+        />
+      ) : (
+        <input
+          {...props}
+          type={type}
+          className="rounded-md border px-3 py-2 text-sm"
+          onChange={(e) => field.handleChange(e.target.value)}
+        />
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}`
+}
+    </div>
+  )
+}
+`;
+
+const getContactRoute = (validation, withUI) => `import { useForm } from '@tanstack/react-form'
+import { createFileRoute } from '@tanstack/react-router'
+import { createServerFn } from '@tanstack/react-start'
+import { useState } from 'react'
+${withUI ? "import { Button } from '@/components/button'\n" : ""}import { TextField } from '@/components/form/text-field'
+${validation.imports}
+
+// Runs on the server, which checks the input against the same schema
+const sendContactMessage = createServerFn({ method: 'POST' })
+  .inputValidator(${validation.server})
+  .handler(async ({ data }) => {
+    console.info(\`Contact message from \${data.name} <\${data.email}>\`)
+    return { ok: true }
+  })
+
+export const Route = createFileRoute('/contact')({
+  component: Contact,
+})
+
+function Contact() {
+  const [sent, setSent] = useState(false)
+
+  const form = useForm({
+    defaultValues: { name: '', email: '', message: '' } as ContactInput,
+    validators: {
+      ${validation.form},
+    },
+    onSubmit: async ({ value, formApi }) => {
+      await sendContactMessage({ data: value })
+      setSent(true)
+      formApi.reset()
+    },
+  })
+
+  return (
+    <div className="mx-auto max-w-md p-8">
+      <h1 className="mb-6 text-2xl font-bold">Contact us</h1>
+      {sent && <p className="mb-4">Thanks, your message was sent!</p>}
+      <form
+        className="grid gap-4"
+        onSubmit={(e) => {
+          e.preventDefault()
+          form.handleSubmit()
+        }}
+      >
+        <form.Field name="name">
+          {(field) => <TextField field={field} label="Name" />}
+        </form.Field>
+        <form.Field name="email">
+          {(field) => <TextField field={field} label="Email" type="email" />}
+        </form.Field>
+        <form.Field name="message">
+          {(field) => <TextField field={field} label="Message" multiline />}
+        </form.Field>
+        <form.Subscribe selector={(state) => [state.canSubmit, state.isSubmitting]}>
+          {([canSubmit, isSubmitting]) => (
+            ${
+              withUI
+                ? `<Button type="submit" disabled={!canSubmit}>
+              {isSubmitting ? 'Sending...' : 'Send'}
+            </Button>`
+                : `<button
+              type="submit"
+              disabled={!canSubmit}
+              className="rounded-md bg-black px-4 py-2 text-white disabled:opacity-50"
+            >
+              {isSubmitting ? 'Sending...' : 'Send'}
+            </button>`
+            }
+          )}
+        </form.Subscribe>
+      </form>
+    </div>
+  )
+}
+`;
+
+/**
+ * Write a contact form example: a schema for the chosen validator (or a
+ * hand-written check without one), a text field component and a route
+ * that validates on the client and again in a server function.
+ */
+export function createFormSetup(out, { validatorLib, withUI }) {
+  const schema = SCHEMAS[validatorLib] ? validatorLib : "none";
+  const validation = schema === "none" ? VALIDATION.none : VALIDATION.schema;
+
+  out.write("src/schemas/contact.ts", SCHEMAS[schema]);
+  out.write("src/components/form/text-field.tsx", getTextField(withUI));
+  out.write("src/routes/contact.tsx", getContactRoute(validation, withUI));
+}
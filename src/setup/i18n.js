@@ -1,17 +1,96 @@
-import fs from "node:fs";
-import path from "node:path";
+// Seed messages for the languages offered in the prompt
+const MESSAGES = {
+  en: {
+    welcome: "Welcome to TanStack Start! 🚀",
+    description: "Start building something amazing",
+    language: "Language",
+  },
+  vi: {
+    welcome: "Chào mừng đến với TanStack Start! 🚀",
+    description: "Bắt đầu xây dựng điều gì đó tuyệt vời",
+    language: "Ngôn ngữ",
+  },
+  ja: {
+    welcome: "TanStack Start へようこそ！🚀",
+    description: "素晴らしいものを作り始めましょう",
+    language: "言語",
+  },
+  ko: {
+    welcome: "TanStack Start에 오신 것을 환영합니다! 🚀",
+    description: "멋진 것을 만들어 보세요",
+    language: "언어",
+  },
+  zh: {
+    welcome: "欢迎使用 TanStack Start！🚀",
+    description: "开始构建令人惊叹的作品",
+    language: "语言",
+  },
+  fr: {
+    welcome: "Bienvenue sur TanStack Start ! 🚀",
+    description: "Commencez à créer quelque chose d'incroyable",
+    language: "Langue",
+  },
+  de: {
+    welcome: "Willkommen bei TanStack Start! 🚀",
+    description: "Fang an, etwas Großartiges zu bauen",
+    language: "Sprache",
+  },
+  es: {
+    welcome: "¡Bienvenido a TanStack Start! 🚀",
+    description: "Empieza a construir algo increíble",
+    language: "Idioma",
+  },
+  pt: {
+    welcome: "Bem-vindo ao TanStack Start! 🚀",
+    description: "Comece a construir algo incrível",
+    language: "Idioma",
+  },
+};
 
-export function createI18nSetup(root, languages, baseLocale) {
-  // Create project.inlang directory
-  const inlangDir = path.join(root, "project.inlang");
-  fs.mkdirSync(inlangDir, { recursive: true });
+// Regional variants (pt-BR, zh-TW) start from their language's messages,
+// anything else from English
+export const getSeedMessages = (locale) =>
+  MESSAGES[locale] ?? MESSAGES[locale.split("-")[0].toLowerCase()] ?? MESSAGES.en;
 
+const LOCALE_SWITCHER = `import { getLocale, locales, setLocale } from '../paraglide/runtime'
+import { m } from '../paraglide/messages'
+
+// Each language is labelled in its own name, e.g. "français", "日本語"
+const getLanguageName = (locale: string) =>
+  new Intl.DisplayNames([locale], { type: 'language' }).of(locale) ?? locale
+
+export function LocaleSwitcher() {
+  const currentLocale = getLocale()
+
+  return (
+    <nav aria-label={m.language()} className="mb-6 flex justify-center gap-2">
+      {locales.map((locale) => (
+        <button
+          key={locale}
+          type="button"
+          onClick={() => setLocale(locale)}
+          aria-pressed={locale === currentLocale}
+          className={
+            locale === currentLocale
+              ? 'rounded-md px-3 py-1 text-sm font-semibold underline'
+              : 'rounded-md px-3 py-1 text-sm'
+          }
+        >
+          {getLanguageName(locale)}
+        </button>
+      ))}
+    </nav>
+  )
+}
+`;
+
+export function createI18nSetup(out, languages, baseLocale) {
   // Create src/paraglide directory
-  fs.mkdirSync(path.join(root, "src/paraglide"), { recursive: true });
+  out.mkdir("src/paraglide");
 
   // Create settings.json
-  fs.writeFileSync(
-    path.join(inlangDir, "settings.json"),
+  out.write(
+    "project.inlang/settings.json",
     JSON.stringify(
       {
         $schema: "https://inlang.com/schema/project-settings",
@@ -30,32 +109,13 @@ export function createI18nSetup(root, languages, baseLocale) {
     ),
   );
 
-  // Create messages directory
-  const messagesDir = path.join(root, "messages");
-  fs.mkdirSync(messagesDir, { recursive: true });
-
   // Create message files for each language
   languages.forEach((lang) => {
-    fs.writeFileSync(
-      path.join(messagesDir, `${lang}.json`),
-      JSON.stringify(
-        {
-          welcome:
-            lang === "en"
-              ? "Welcome to your new app!"
-              : lang === "vi"
-                ? "Chào mừng đến với ứng dụng mới của bạn!"
-                : "Welcome to your new app!",
-          description:
-            lang === "en"
-              ? "Start building something amazing"
-              : lang === "vi"
-                ? "Bắt đầu xây dựng điều gì đó tuyệt vời"
-                : "Start building something amazing",
-        },
-        null,
-        2,
-      ),
+    out.write(
+      `messages/${lang}.json`,
+      JSON.stringify(getSeedMessages(lang), null, 2),
     );
   });
+
+  out.write("src/components/LocaleSwitcher.tsx", LOCALE_SWITCHER);
 }
@@ -1,12 +1,28 @@
-import fs from "node:fs";
-import path from "node:path";
+import { getGitignoreEntries } from "../generators/config.js";
+import { getExecCommand } from "../package-manager.js";
+import { getPinnedVersion } from "../versions.js";
 
-export function createQualitySetup(root) {
-  fs.writeFileSync(
-    path.join(root, "biome.json"),
+// Source files lint-staged runs the linter on
+export const SCRIPT_FILES = "*.{js,jsx,ts,tsx}";
+
+// The schema matching the pinned Biome, or the installed one with --latest
+const getBiomeSchema = (latest) =>
+  latest
+    ? "./node_modules/@biomejs/biome/configuration_schema.json"
+    : `https://biomejs.dev/schemas/${getPinnedVersion("@biomejs/biome")}/schema.json`;
+
+// Generated sources the linters and formatters skip
+const getGeneratedFiles = ({ features }) => [
+  "src/routeTree.gen.ts",
+  ...(features.includes("i18n") ? ["src/paraglide"] : []),
+];
+
+function writeBiomeConfig(out, ctx) {
+  out.write(
+    "biome.json",
     JSON.stringify(
       {
-        $schema: "https://biomejs.dev/schemas/1.9.4/schema.json",
+        $schema: getBiomeSchema(ctx.latest),
         vcs: {
           enabled: true,
           clientKind: "git",
@@ -14,14 +30,18 @@ export function createQualitySetup(root) {
         },
         files: {
           ignoreUnknown: false,
-          ignore: [],
+          includes: ["**", ...getGeneratedFiles(ctx).map((file) => `!${file}`)],
         },
         formatter: {
           enabled: true,
           indentStyle: "space",
         },
-        organizeImports: {
-          enabled: true,
+        assist: {
+          actions: {
+            source: {
+              organizeImports: "on",
+            },
+          },
         },
         linter: {
           enabled: true,
@@ -34,9 +54,122 @@ export function createQualitySetup(root) {
       2,
     ),
   );
+}
+
+// ESLint doesn't read .gitignore, build output and reports are listed again
+const getEslintIgnores = (ctx) => [...getGitignoreEntries(ctx), ...getGeneratedFiles(ctx)];
 
-  fs.writeFileSync(
-    path.join(root, ".editorconfig"),
+const getEslintConfig = (ctx) => `import js from '@eslint/js'
+import pluginQuery from '@tanstack/eslint-plugin-query'
+import pluginRouter from '@tanstack/eslint-plugin-router'
+import prettier from 'eslint-config-prettier'
+import reactHooks from 'eslint-plugin-react-hooks'
+import { defineConfig, globalIgnores } from 'eslint/config'
+import globals from 'globals'
+import tseslint from 'typescript-eslint'
+
+export default defineConfig(
+  globalIgnores([
+${getEslintIgnores(ctx)
+  .map((entry) => `    '${entry}',`)
+  .join("\n")}
+  ]),
+  js.configs.recommended,
+  tseslint.configs.recommended,
+  pluginRouter.configs['flat/recommended'],
+  pluginQuery.configs['flat/recommended'],
+  reactHooks.configs['recommended-latest'],
+  {
+    languageOptions: {
+      globals: { ...globals.browser, ...globals.node },
+    },
+  },
+  // Formatting is left to Prettier
+  prettier,
+)
+`;
+
+function writeEslintConfig(out, ctx) {
+  const withTailwind = ctx.features.includes("ui");
+
+  out.write("eslint.config.js", getEslintConfig(ctx));
+  // Quotes and semicolons as in the generated sources; the rest of Prettier's
+  // style only applies to them once `format` has run
+  out.write(
+    ".prettierrc.json",
+    JSON.stringify(
+      {
+        semi: false,
+        singleQuote: true,
+        trailingComma: "all",
+        ...(withTailwind && {
+          plugins: ["prettier-plugin-tailwindcss"],
+          tailwindStylesheet: "./src/styles/app.css",
+        }),
+      },
+      null,
+      2,
+    ),
+  );
+  // Prettier already skips what .gitignore lists
+  out.write(
+    ".prettierignore",
+    `${[...getGeneratedFiles(ctx), "pnpm-lock.yaml", "package-lock.json"].join("\n")}\n`,
+  );
+}
+
+/**
+ * The lint/format tools a project can use: their dev packages, the lint
+ * scripts, the commands lint-staged runs on staged files and the config
+ * files they read.
+ */
+export const LINTERS = {
+  biome: {
+    name: "Biome",
+    devPackages: () => ["@biomejs/biome"],
+    scripts: {
+      lint: "biome check src",
+      "lint:fix": "biome check --write src",
+    },
+    lintStaged: {
+      [SCRIPT_FILES]: ["biome check --write --no-errors-on-unmatched"],
+    },
+    files: writeBiomeConfig,
+  },
+  eslint: {
+    name: "ESLint + Prettier",
+    devPackages: ({ features }) => [
+      "eslint",
+      "@eslint/js",
+      "typescript-eslint",
+      "eslint-plugin-react-hooks",
+      "@tanstack/eslint-plugin-router",
+      "@tanstack/eslint-plugin-query",
+      "eslint-config-prettier",
+      "globals",
+      "prettier",
+      ...(features.includes("ui") ? ["prettier-plugin-tailwindcss"] : []),
+    ],
+    scripts: {
+      lint: "eslint .",
+      "lint:fix": "eslint --fix . && prettier --write .",
+      format: "prettier --write .",
+    },
+    lintStaged: {
+      [SCRIPT_FILES]: ["eslint --fix", "prettier --write"],
+      "*.{json,css,md}": ["prettier --write"],
+    },
+    files: writeEslintConfig,
+  },
+};
+
+export const getLinter = (key) => LINTERS[key] ?? LINTERS.biome;
+
+export function createQualitySetup(out, ctx) {
+  getLinter(ctx.linter).files(out, ctx);
+
+  out.write(
+    ".editorconfig",
     `root = true
 
 [*]
@@ -48,4 +181,10 @@ trim_trailing_whitespace = true
 insert_final_newline = true
 `,
   );
+
+  // Husky 9 runs the hook scripts with sh, they don't need to be executable
+  out.write(
+    ".husky/pre-commit",
+    `${getExecCommand(ctx.packageManager, "lint-staged")}\n`,
+  );
 }
@@ -1,36 +1,215 @@
-import fs from "node:fs";
-import path from "node:path";
-
-export function createStateSetup(root, stateLibs = ["jotai"]) {
-  fs.mkdirSync(path.join(root, "src/store"), { recursive: true });
-
-  if (stateLibs.includes("jotai")) {
-    fs.writeFileSync(
-      path.join(root, "src/store/jotaiStore.ts"),
-      `import { atom } from 'jotai'
+const JOTAI_STORE = `import { atom } from 'jotai'
 
 export const countAtom = atom(0)
-`,
-    );
-  }
+`;
 
-  if (stateLibs.includes("zustand")) {
-    fs.writeFileSync(
-      path.join(root, "src/store/zustandStore.ts"),
-      `import { create } from 'zustand'
+// A store per provider instead of a module-level one, so server requests
+// never share state
+const ZUSTAND_STORE = `import { createContext, useContext, useState, type ReactNode } from 'react'
+import { createStore, useStore } from 'zustand'
 
-type CounterState = {
+export type CounterState = {
   count: number
   increment: () => void
   decrement: () => void
 }
 
-export const useCounterStore = create<CounterState>((set) => ({
-  count: 0,
-  increment: () => set((state) => ({ count: state.count + 1 })),
-  decrement: () => set((state) => ({ count: state.count - 1 })),
-}))
-`,
-    );
+export const createCounterStore = (count = 0) =>
+  createStore<CounterState>()((set) => ({
+    count,
+    increment: () => set((state) => ({ count: state.count + 1 })),
+    decrement: () => set((state) => ({ count: state.count - 1 })),
+  }))
+
+type CounterStore = ReturnType<typeof createCounterStore>
+
+const CounterStoreContext = createContext<CounterStore | null>(null)
+
+export function CounterStoreProvider({ children }: { children: ReactNode }) {
+  const [store] = useState(() => createCounterStore())
+  return (
+    <CounterStoreContext.Provider value={store}>
+      {children}
+    </CounterStoreContext.Provider>
+  )
+}
+
+export function useCounterStore<T>(selector: (state: CounterState) => T): T {
+  const store = useContext(CounterStoreContext)
+  if (!store) {
+    throw new Error('useCounterStore must be used inside CounterStoreProvider')
+  }
+  return useStore(store, selector)
+}
+`;
+
+const TANSTACK_STORE = `import { createContext, useContext, useState, type ReactNode } from 'react'
+import { Store } from '@tanstack/react-store'
+
+export const createCounter = (count = 0) => new Store({ count })
+
+export type Counter = ReturnType<typeof createCounter>
+
+export const increment = (counter: Counter) =>
+  counter.setState((state) => ({ ...state, count: state.count + 1 }))
+
+export const decrement = (counter: Counter) =>
+  counter.setState((state) => ({ ...state, count: state.count - 1 }))
+
+const CounterContext = createContext<Counter | null>(null)
+
+export function CounterProvider({ children }: { children: ReactNode }) {
+  const [counter] = useState(() => createCounter())
+  return <CounterContext.Provider value={counter}>{children}</CounterContext.Provider>
+}
+
+export function useCounter() {
+  const counter = useContext(CounterContext)
+  if (!counter) {
+    throw new Error('useCounter must be used inside CounterProvider')
   }
+  return counter
+}
+`;
+
+/**
+ * The state libraries offered in the prompt: the package, the example store,
+ * the provider that scopes it to a render, and the demo route's counter.
+ */
+export const STATE_LIBS = {
+  jotai: {
+    name: "Jotai",
+    package: "jotai",
+    file: "src/store/jotaiStore.ts",
+    content: JOTAI_STORE,
+    // Without a store prop, each Provider creates its own
+    provider: {
+      import: "import { Provider as JotaiProvider } from 'jotai'",
+      component: "JotaiProvider",
+    },
+    demo: {
+      imports: `import { useAtom } from 'jotai'
+import { countAtom } from '@/store/jotaiStore'`,
+      hook: "const [jotaiCount, setJotaiCount] = useAtom(countAtom)",
+      count: "jotaiCount",
+      decrement: "() => setJotaiCount((count) => count - 1)",
+      increment: "() => setJotaiCount((count) => count + 1)",
+    },
+  },
+  zustand: {
+    name: "Zustand",
+    package: "zustand",
+    file: "src/store/zustandStore.tsx",
+    content: ZUSTAND_STORE,
+    provider: {
+      import: "import { CounterStoreProvider } from './zustandStore'",
+      component: "CounterStoreProvider",
+    },
+    demo: {
+      imports: "import { useCounterStore } from '@/store/zustandStore'",
+      hook: "const zustand = useCounterStore((state) => state)",
+      count: "zustand.count",
+      decrement: "zustand.decrement",
+      increment: "zustand.increment",
+    },
+  },
+  "tanstack-store": {
+    name: "TanStack Store",
+    package: "@tanstack/react-store",
+    file: "src/store/tanstackStore.tsx",
+    content: TANSTACK_STORE,
+    provider: {
+      import: "import { CounterProvider } from './tanstackStore'",
+      component: "CounterProvider",
+    },
+    demo: {
+      imports: `import { useStore } from '@tanstack/react-store'
+import { decrement, increment, useCounter } from '@/store/tanstackStore'`,
+      hook: `const counter = useCounter()
+  const tanstackCount = useStore(counter, (state) => state.count)`,
+      count: "tanstackCount",
+      decrement: "() => decrement(counter)",
+      increment: "() => increment(counter)",
+    },
+  },
+};
+
+const getStateProvider = (libs) => {
+  // Nest the providers, the first library outermost
+  const indent = (depth) => "  ".repeat(depth + 2);
+  const open = libs.map((lib, i) => `${indent(i)}<${lib.provider.component}>`);
+  const close = libs
+    .map((lib, i) => `${indent(i)}</${lib.provider.component}>`)
+    .reverse();
+
+  return `import type { ReactNode } from 'react'
+${libs.map((lib) => lib.provider.import).join("\n")}
+
+// Every render gets its own stores, on the server that means every request
+export function StateProvider({ children }: { children: ReactNode }) {
+  return (
+${open.join("\n")}
+${indent(libs.length)}{children}
+${close.join("\n")}
+  )
+}
+`;
+};
+
+const getCounter = (lib, withUI) => {
+  const button = (label, onClick) =>
+    withUI
+      ? `<Button variant="outline" size="sm" onClick={${onClick}}>
+            ${label}
+          </Button>`
+      : `<button
+            type="button"
+            className="rounded-md border px-3 py-1"
+            onClick={${onClick}}
+          >
+            ${label}
+          </button>`;
+
+  return `      <section className="mb-6 rounded-lg border p-4">
+        <h2 className="mb-2 font-semibold">${lib.name}</h2>
+        <div className="flex items-center gap-3">
+          ${button("-", lib.demo.decrement)}
+          <span className="min-w-8 text-center">{${lib.demo.count}}</span>
+          ${button("+", lib.demo.increment)}
+        </div>
+      </section>`;
+};
+
+const getStateRoute = (libs, withUI) => `import { createFileRoute } from '@tanstack/react-router'
+${withUI ? "import { Button } from '@/components/button'\n" : ""}${libs.map((lib) => lib.demo.imports).join("\n")}
+
+export const Route = createFileRoute('/state')({
+  component: StateDemo,
+})
+
+function StateDemo() {
+  ${libs.map((lib) => lib.demo.hook).join("\n  ")}
+
+  return (
+    <div className="mx-auto max-w-md p-8">
+      <h1 className="mb-6 text-2xl font-bold">State</h1>
+${libs.map((lib) => getCounter(lib, withUI)).join("\n")}
+    </div>
+  )
+}
+`;
+
+/**
+ * Write the example store of each selected library, a StateProvider that
+ * scopes them to a render (wrapped around the root route's Outlet) and a
+ * /state route using them.
+ */
+export function createStateSetup(out, { stateLibs = ["jotai"], withUI }) {
+  const libs = stateLibs.map((key) => STATE_LIBS[key]);
+
+  libs.forEach((lib) => {
+    out.write(lib.file, lib.content);
+  });
+  out.write("src/store/StateProvider.tsx", getStateProvider(libs));
+  out.write("src/routes/state.tsx", getStateRoute(libs, withUI));
 }
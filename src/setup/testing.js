@@ -1,10 +1,17 @@
-import fs from "node:fs";
-import path from "node:path";
+import { getRunCommand } from "../package-manager.js";
+import { getSeedMessages } from "./i18n.js";
 
-export function createTestingSetup(root) {
-  fs.writeFileSync(
-    path.join(root, "vitest.config.ts"),
-    `import { defineConfig } from 'vitest/config'
+// Files wired up by the framework or generated, which unit tests don't reach
+const COVERAGE_EXCLUDE = [
+  "src/routes/**",
+  "src/paraglide/**",
+  "src/routeTree.gen.ts",
+  "src/router.tsx",
+  "src/server.ts",
+  "src/**/*.d.ts",
+];
+
+const getVitestConfig = () => `import { defineConfig } from 'vitest/config'
 import react from '@vitejs/plugin-react'
 import tsconfigPaths from 'vite-tsconfig-paths'
 
@@ -14,15 +21,311 @@ export default defineConfig({
     globals: true,
     environment: 'jsdom',
     setupFiles: './tests/setup.ts',
+    // Playwright runs the specs in e2e/
+    include: ['tests/**/*.test.{ts,tsx}', 'src/**/*.test.{ts,tsx}'],
+    coverage: {
+      provider: 'v8',
+      include: ['src/**/*.{ts,tsx}'],
+      exclude: [${COVERAGE_EXCLUDE.map((glob) => `'${glob}'`).join(", ")}],
+      // Enforced on the logic folders, components are reported only
+      thresholds: {
+        'src/{lib,store,utils}/**': {
+          lines: 80,
+          functions: 80,
+          branches: 80,
+          statements: 80,
+        },
+      },
+    },
   },
 })
+`;
+
+const SEO_TEST = `import { seo } from '@/utils/seo'
+
+describe('seo', () => {
+  it('adds title and description tags', () => {
+    const tags = seo({ title: 'Home', description: 'Welcome' })
+
+    expect(tags).toContainEqual({ title: 'Home' })
+    expect(tags).toContainEqual({ name: 'og:title', content: 'Home' })
+    expect(tags).toContainEqual({ name: 'description', content: 'Welcome' })
+  })
+
+  it('adds image tags only when an image is given', () => {
+    expect(seo({ title: 'Home' })).not.toContainEqual(
+      expect.objectContaining({ name: 'og:image' }),
+    )
+    expect(seo({ title: 'Home', image: '/og.png' })).toContainEqual({
+      name: 'og:image',
+      content: '/og.png',
+    })
+  })
+})
+`;
+
+const BUTTON_TEST = `import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { Button } from '@/components/button'
+
+describe('Button', () => {
+  it('renders its label and handles clicks', async () => {
+    const onClick = vi.fn()
+    render(<Button onClick={onClick}>Save</Button>)
+
+    await userEvent.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(onClick).toHaveBeenCalledOnce()
+  })
+
+  it('applies the variant classes', () => {
+    render(<Button variant="destructive">Delete</Button>)
+
+    expect(screen.getByRole('button')).toHaveClass('bg-destructive')
+  })
+
+  it('renders its child instead with asChild', () => {
+    render(
+      <Button asChild>
+        <a href="/about">About</a>
+      </Button>,
+    )
+
+    expect(screen.getByRole('link', { name: 'About' })).toHaveAttribute('href', '/about')
+  })
+})
+`;
+
+const STORE_TESTS = {
+  jotai: [
+    "tests/store/jotaiStore.test.ts",
+    `import { createStore } from 'jotai'
+import { countAtom } from '@/store/jotaiStore'
+
+describe('countAtom', () => {
+  it('starts at zero and can be updated', () => {
+    const store = createStore()
+    expect(store.get(countAtom)).toBe(0)
+
+    store.set(countAtom, (count) => count + 1)
+
+    expect(store.get(countAtom)).toBe(1)
+  })
+})
+`,
+  ],
+  zustand: [
+    "tests/store/zustandStore.test.tsx",
+    `import { act, renderHook } from '@testing-library/react'
+import type { ReactNode } from 'react'
+import { CounterStoreProvider, createCounterStore, useCounterStore } from '@/store/zustandStore'
+
+describe('createCounterStore', () => {
+  it('increments and decrements the count', () => {
+    const store = createCounterStore()
+    const { increment, decrement } = store.getState()
+
+    increment()
+    increment()
+    decrement()
+
+    expect(store.getState().count).toBe(1)
+  })
+
+  it('gives every store its own state', () => {
+    const first = createCounterStore()
+    first.getState().increment()
+
+    expect(createCounterStore().getState().count).toBe(0)
+  })
+})
+
+describe('useCounterStore', () => {
+  const wrapper = ({ children }: { children: ReactNode }) => (
+    <CounterStoreProvider>{children}</CounterStoreProvider>
+  )
+
+  it('reads the store of its provider', () => {
+    const { result } = renderHook(() => useCounterStore((state) => state), { wrapper })
+
+    act(() => result.current.increment())
+
+    expect(result.current.count).toBe(1)
+  })
+
+  it('throws outside of a provider', () => {
+    expect(() => renderHook(() => useCounterStore((state) => state.count))).toThrow(
+      'useCounterStore must be used inside CounterStoreProvider',
+    )
+  })
+})
+`,
+  ],
+  "tanstack-store": [
+    "tests/store/tanstackStore.test.tsx",
+    `import { act, renderHook } from '@testing-library/react'
+import type { ReactNode } from 'react'
+import {
+  CounterProvider,
+  createCounter,
+  decrement,
+  increment,
+  useCounter,
+} from '@/store/tanstackStore'
+
+describe('counter store', () => {
+  it('increments and decrements the count', () => {
+    const counter = createCounter()
+
+    increment(counter)
+    increment(counter)
+    decrement(counter)
+
+    expect(counter.state.count).toBe(1)
+  })
+})
+
+describe('useCounter', () => {
+  const wrapper = ({ children }: { children: ReactNode }) => (
+    <CounterProvider>{children}</CounterProvider>
+  )
+
+  it('reads the counter of its provider', () => {
+    const { result } = renderHook(() => useCounter(), { wrapper })
+
+    act(() => increment(result.current))
+
+    expect(result.current.state.count).toBe(1)
+  })
+
+  it('throws outside of a provider', () => {
+    expect(() => renderHook(() => useCounter())).toThrow(
+      'useCounter must be used inside CounterProvider',
+    )
+  })
+})
 `,
+  ],
+};
+
+// The providers of every selected library render together
+const STATE_PROVIDER_TEST = `import { render, screen } from '@testing-library/react'
+import { StateProvider } from '@/store/StateProvider'
+
+describe('StateProvider', () => {
+  it('renders its children', () => {
+    render(
+      <StateProvider>
+        <p>Content</p>
+      </StateProvider>,
+    )
+
+    expect(screen.getByText('Content')).toBeInTheDocument()
+  })
+})
+`;
+
+const getPlaywrightConfig = (packageManager) => `import { defineConfig, devices } from '@playwright/test'
+
+export default defineConfig({
+  testDir: './e2e',
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  retries: process.env.CI ? 2 : 0,
+  reporter: process.env.CI ? 'github' : 'html',
+  use: {
+    baseURL: 'http://localhost:3000',
+    trace: 'on-first-retry',
+  },
+  projects: [{ name: 'chromium', use: { ...devices['Desktop Chrome'] } }],
+  webServer: {
+    command: '${getRunCommand(packageManager, "dev")}',
+    url: 'http://localhost:3000',
+    reuseExistingServer: !process.env.CI,
+  },
+})
+`;
+
+// Where a locale's pages live, the base one may be served at the root
+const getLocalePath = (locale, { baseLocale, prefixBaseLocale }) =>
+  locale === baseLocale && !prefixBaseLocale ? "/" : `/${locale}`;
+
+const getIndexSpec = (path, welcome) => `import { expect, test } from '@playwright/test'
+
+test('shows the welcome heading', async ({ page }) => {
+  await page.goto('${path}')
+
+  await expect(page.getByRole('heading', { level: 1 })).toHaveText(${JSON.stringify(welcome)})
+})
+`;
+
+const getLocaleSpec = (locales) => `import { expect, test } from '@playwright/test'
+
+const LOCALES = ${JSON.stringify(locales, null, 2)}
+
+for (const { locale, path, welcome } of LOCALES) {
+  test(\`serves \${locale} at \${path}\`, async ({ page }) => {
+    await page.goto(path)
+
+    await expect(page.locator('html')).toHaveAttribute('lang', locale)
+    await expect(page.getByRole('heading', { level: 1 })).toHaveText(welcome)
+  })
+}
+`;
+
+function createE2eSetup(out, ctx) {
+  out.write("playwright.config.ts", getPlaywrightConfig(ctx.packageManager));
+
+  if (!ctx.features.includes("i18n")) {
+    out.write("e2e/index.spec.ts", getIndexSpec("/", getSeedMessages("en").welcome));
+    return;
+  }
+
+  const { languages = ["en"], baseLocale = "en" } = ctx;
+  const localeOptions = { baseLocale, prefixBaseLocale: ctx.prefixBaseLocale ?? true };
+  out.write(
+    "e2e/index.spec.ts",
+    getIndexSpec(
+      getLocalePath(baseLocale, localeOptions),
+      getSeedMessages(baseLocale).welcome,
+    ),
+  );
+  out.write(
+    "e2e/i18n.spec.ts",
+    getLocaleSpec(
+      languages.map((locale) => ({
+        locale,
+        path: getLocalePath(locale, localeOptions),
+        welcome: getSeedMessages(locale).welcome,
+      })),
+    ),
   );
+}
+
+/**
+ * Write the Vitest config with coverage, example unit tests for the code
+ * the other features scaffold and, with e2e, a Playwright suite for the
+ * index route and the localized URLs.
+ */
+export function createTestingSetup(out, ctx) {
+  out.write("vitest.config.ts", getVitestConfig());
 
-  fs.mkdirSync(path.join(root, "tests"), { recursive: true });
-  fs.writeFileSync(
-    path.join(root, "tests/setup.ts"),
+  out.write(
+    "tests/setup.ts",
     `import '@testing-library/jest-dom'
 `,
   );
+
+  out.write("tests/utils/seo.test.ts", SEO_TEST);
+  if (ctx.features.includes("ui")) {
+    out.write("tests/components/button.test.tsx", BUTTON_TEST);
+  }
+  if (ctx.features.includes("state")) {
+    (ctx.stateLibs ?? ["jotai"]).forEach((lib) => {
+      out.write(...STORE_TESTS[lib]);
+    });
+    out.write("tests/store/StateProvider.test.tsx", STATE_PROVIDER_TEST);
+  }
+
+  if (ctx.e2e) createE2eSetup(out, ctx);
 }
@@ -1,12 +1,234 @@
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { renderTemplate, renderTemplateDir } from "../template.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export function createUISetup(root) {
+/**
+ * Components offered on top of the base set (button, card, input, label),
+ * copied from templates/ui-catalog with the packages they import.
+ */
+export const UI_COMPONENTS = {
+  dialog: { name: "Dialog", packages: ["@radix-ui/react-dialog"] },
+  "dropdown-menu": {
+    name: "Dropdown Menu",
+    packages: ["@radix-ui/react-dropdown-menu"],
+  },
+  select: { name: "Select", packages: ["@radix-ui/react-select"] },
+  sonner: { name: "Toast (Sonner)", packages: ["sonner"] },
+  tabs: { name: "Tabs", packages: ["@radix-ui/react-tabs"] },
+  form: { name: "Form (TanStack Form fields)", packages: [] },
+};
+
+// Tailwind v4 palette shades in OKLCH, the scale shadcn/ui builds its
+// base colors from
+const WHITE = "1 0 0";
+
+export const BASE_COLORS = {
+  neutral: {
+    50: "0.985 0 0",
+    100: "0.97 0 0",
+    200: "0.922 0 0",
+    400: "0.708 0 0",
+    500: "0.556 0 0",
+    600: "0.439 0 0",
+    800: "0.269 0 0",
+    900: "0.205 0 0",
+    950: "0.145 0 0",
+  },
+  zinc: {
+    50: "0.985 0 0",
+    100: "0.967 0.001 286.375",
+    200: "0.92 0.004 286.32",
+    400: "0.705 0.015 286.067",
+    500: "0.552 0.016 285.938",
+    600: "0.442 0.017 285.786",
+    800: "0.274 0.006 286.033",
+    900: "0.21 0.006 285.885",
+    950: "0.141 0.005 285.823",
+  },
+  slate: {
+    50: "0.984 0.003 247.858",
+    100: "0.968 0.007 247.896",
+    200: "0.929 0.013 255.508",
+    400: "0.704 0.04 256.788",
+    500: "0.554 0.046 257.417",
+    600: "0.446 0.043 257.281",
+    800: "0.279 0.041 260.031",
+    900: "0.208 0.042 265.755",
+    950: "0.129 0.042 264.695",
+  },
+  stone: {
+    50: "0.985 0.001 106.423",
+    100: "0.97 0.001 106.424",
+    200: "0.923 0.003 48.717",
+    400: "0.709 0.01 56.259",
+    500: "0.553 0.013 58.071",
+    600: "0.444 0.011 73.639",
+    800: "0.268 0.007 34.298",
+    900: "0.216 0.006 56.043",
+    950: "0.147 0.004 49.25",
+  },
+  gray: {
+    50: "0.985 0.002 247.839",
+    100: "0.967 0.003 264.542",
+    200: "0.928 0.006 264.531",
+    400: "0.707 0.022 261.325",
+    500: "0.551 0.027 264.364",
+    600: "0.446 0.03 256.802",
+    800: "0.278 0.033 256.848",
+    900: "0.21 0.034 264.665",
+    950: "0.13 0.028 261.692",
+  },
+};
+
+export const RADII = ["0", "0.3", "0.5", "0.625", "0.75", "1"];
+
+// Which shade each variable takes. Strings are used as they are: the
+// destructive and chart colors are the same for every base color.
+const LIGHT_VARS = {
+  background: WHITE,
+  foreground: 950,
+  card: WHITE,
+  "card-foreground": 950,
+  popover: WHITE,
+  "popover-foreground": 950,
+  primary: 900,
+  "primary-foreground": 50,
+  secondary: 100,
+  "secondary-foreground": 900,
+  muted: 100,
+  "muted-foreground": 500,
+  accent: 100,
+  "accent-foreground": 900,
+  destructive: "0.577 0.245 27.325",
+  "destructive-foreground": "0.577 0.245 27.325",
+  border: 200,
+  input: 200,
+  ring: 400,
+  "chart-1": "0.646 0.222 41.116",
+  "chart-2": "0.6 0.118 184.704",
+  "chart-3": "0.398 0.07 227.392",
+  "chart-4": "0.828 0.189 84.429",
+  "chart-5": "0.769 0.188 70.08",
+  radius: null,
+  sidebar: 50,
+  "sidebar-foreground": 950,
+  "sidebar-primary": 900,
+  "sidebar-primary-foreground": 50,
+  "sidebar-accent": 100,
+  "sidebar-accent-foreground": 900,
+  "sidebar-border": 200,
+  "sidebar-ring": 400,
+};
+
+const DARK_VARS = {
+  background: 950,
+  foreground: 50,
+  card: 950,
+  "card-foreground": 50,
+  popover: 950,
+  "popover-foreground": 50,
+  primary: 50,
+  "primary-foreground": 900,
+  secondary: 800,
+  "secondary-foreground": 50,
+  muted: 800,
+  "muted-foreground": 400,
+  accent: 800,
+  "accent-foreground": 50,
+  destructive: "0.396 0.141 25.723",
+  "destructive-foreground": "0.637 0.237 25.331",
+  border: 800,
+  input: 800,
+  ring: 600,
+  "chart-1": "0.488 0.243 264.376",
+  "chart-2": "0.696 0.17 162.48",
+  "chart-3": "0.769 0.188 70.08",
+  "chart-4": "0.627 0.265 303.9",
+  "chart-5": "0.645 0.246 16.439",
+  sidebar: 900,
+  "sidebar-foreground": 50,
+  "sidebar-primary": "0.488 0.243 264.376",
+  "sidebar-primary-foreground": 50,
+  "sidebar-accent": 800,
+  "sidebar-accent-foreground": 50,
+  "sidebar-border": 800,
+  "sidebar-ring": 600,
+};
+
+function getThemeBlock(selector, vars, palette, radius) {
+  const lines = Object.entries(vars).map(([name, value]) => {
+    if (value === null) return `  --${name}: ${radius}rem;`;
+    const color = typeof value === "number" ? palette[value] : value;
+    return `  --${name}: oklch(${color});`;
+  });
+  return `${selector} {\n${lines.join("\n")}\n}`;
+}
+
+/** The `:root` and `.dark` variables of app.css for a base color and radius */
+export function getThemeCss(baseColor = "neutral", radius = "0.625") {
+  const palette = BASE_COLORS[baseColor] ?? BASE_COLORS.neutral;
+  return `${getThemeBlock(":root", LIGHT_VARS, palette, radius)}
+
+${getThemeBlock(".dark", DARK_VARS, palette, radius)}`;
+}
+
+// Settings for `npx shadcn add`. Tailwind v4 has no config file and the
+// components live straight in src/components.
+const getComponentsJson = (baseColor) => ({
+  $schema: "https://ui.shadcn.com/schema.json",
+  style: "new-york",
+  rsc: false,
+  tsx: true,
+  tailwind: {
+    config: "",
+    css: "src/styles/app.css",
+    baseColor,
+    cssVariables: true,
+    prefix: "",
+  },
+  aliases: {
+    components: "@/components",
+    utils: "@/lib/utils",
+    ui: "@/components",
+    lib: "@/lib",
+    hooks: "@/hooks",
+  },
+  iconLibrary: "lucide",
+});
+
+export function createUISetup(out, ctx) {
+  const { uiComponents = [], uiBaseColor = "neutral", uiRadius = "0.625" } = ctx;
   const templateDir = path.resolve(__dirname, "../../templates/ui");
-  
-  // Copy all files from templates/ui to root
-  fs.cpSync(templateDir, root, { recursive: true });
+  const catalogDir = path.resolve(__dirname, "../../templates/ui-catalog");
+
+  // Render all files from templates/ui to the project root
+  renderTemplateDir(out, templateDir, { values: ctx });
+
+  for (const component of uiComponents) {
+    const file = `${component}.tsx`;
+    out.write(
+      `src/components/${file}`,
+      renderTemplate(fs.readFileSync(path.join(catalogDir, file), "utf-8"), {
+        file: `ui-catalog/${file}`,
+        values: ctx,
+      }),
+    );
+  }
+
+  out.writeJson("components.json", getComponentsJson(uiBaseColor));
+
+  // The base template wrote app.css with the default neutral theme
+  const css = out.read("src/styles/app.css");
+  if (css) {
+    out.write(
+      "src/styles/app.css",
+      css.replace(
+        /:root \{[^}]*\}\n\n\.dark \{[^}]*\}/,
+        getThemeCss(uiBaseColor, uiRadius),
+      ),
+    );
+  }
 }
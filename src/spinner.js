@@ -0,0 +1,42 @@
+import { cyan, dim } from "kolorist";
+
+const FRAMES = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+
+/**
+ * Minimal spinner with elapsed time for long-running steps. Outside a TTY
+ * (CI, piped output) it prints the message once instead of animating.
+ */
+export function createSpinner(message) {
+  const started = Date.now();
+  const elapsed = () => dim(`(${Math.round((Date.now() - started) / 1000)}s)`);
+  let frame = 0;
+  let timer;
+
+  const clear = () => {
+    clearInterval(timer);
+    if (process.stdout.isTTY) {
+      process.stdout.clearLine(0);
+      process.stdout.cursorTo(0);
+    }
+  };
+
+  return {
+    start() {
+      if (!process.stdout.isTTY) {
+        console.log(`${message}...`);
+        return this;
+      }
+      timer = setInterval(() => {
+        frame = (frame + 1) % FRAMES.length;
+        process.stdout.clearLine(0);
+        process.stdout.cursorTo(0);
+        process.stdout.write(`${cyan(FRAMES[frame])} ${message} ${elapsed()}`);
+      }, 80);
+      return this;
+    },
+    stop(result) {
+      clear();
+      console.log(`${result} ${elapsed()}`);
+    },
+  };
+}
@@ -0,0 +1,190 @@
+import { spawnSync } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { FEATURES } from "./features/index.js";
+import { cloneRepository, updateRepository } from "./git.js";
+import { getAnswerNames } from "./questions.js";
+import { getCacheDir } from "./user-config.js";
+
+export const MANIFEST_FILE = "template.json";
+
+const MODES = ["overlay", "replace"];
+
+/**
+ * A starter passed with `--template`, rendered instead of (`replace`) or on
+ * top of (`overlay`, the default) templates/base. Its optional template.json
+ * declares:
+ *
+ * @typedef {object} TemplateManifest
+ * @property {string} [name] Name shown when it is used
+ * @property {"overlay" | "replace"} [mode] How it combines with templates/base
+ * @property {string[]} [features] The features it works with, the only ones
+ *   offered; all of them when missing
+ * @property {object[]} [prompts] Extra `prompts` questions, whose answers
+ *   the template reads as `{{name}}`. A question may set `flag`
+ * @property {object} [defaults] Answers for its prompts with --yes
+ * @property {string[]} [postGenerate] Commands run in the project once the
+ *   dependencies are installed
+ */
+
+// The template of this run, like plugins are registered in FEATURES
+let loaded = null;
+
+/** The template loaded with `--template`, null for the bundled one */
+export const getTemplate = () => loaded;
+
+// git@host:repo, ssh://, git://, git+https:// or an https or file URL ending in .git,
+// optionally followed by #branch or #tag; github:user/repo is a shorthand
+const isGitSource = (source) =>
+  /^(git@|ssh:\/\/|git:\/\/|git\+|github:)/.test(source) ||
+  /^(https?|file):\/\/\S+\.git(#.*)?$/.test(source);
+
+const isTarball = (source) => /\.(tgz|tar\.gz)$/.test(source);
+
+const getCachePath = (key) =>
+  path.join(
+    getCacheDir(),
+    "templates",
+    crypto.createHash("sha256").update(key).digest("hex").slice(0, 16),
+  );
+
+function parseGitSource(source) {
+  const [location, ref = ""] = source.split("#");
+  const url = location.startsWith("github:")
+    ? `https://github.com/${location.slice(7)}.git`
+    : location.replace(/^git\+/, "");
+  return { url, ref };
+}
+
+// Clone once, then update the cached copy; it is used as is when offline
+function fetchGitTemplate(source) {
+  const { url, ref } = parseGitSource(source);
+  const dir = getCachePath(source);
+
+  if (fs.existsSync(dir)) {
+    const error = updateRepository(dir, ref);
+    return {
+      dir,
+      warning: error && `Could not update ${url} (${error}), using the cached copy`,
+    };
+  }
+
+  fs.mkdirSync(path.dirname(dir), { recursive: true });
+  const error = cloneRepository(url, dir, ref);
+  if (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw new Error(`Could not clone ${url}: ${error}`);
+  }
+  return { dir };
+}
+
+// Extract once per tarball content, npm pack's package/ folder is unwrapped
+function extractTarball(source) {
+  const file = path.resolve(source);
+  if (!fs.existsSync(file)) throw new Error(`Template file not found: ${file}`);
+
+  const dir = getCachePath(crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex"));
+  if (fs.existsSync(dir)) return { dir };
+
+  const tmp = `${dir}.tmp`;
+  fs.rmSync(tmp, { recursive: true, force: true });
+  fs.mkdirSync(tmp, { recursive: true });
+  const result = spawnSync("tar", ["-xzf", file, "-C", tmp], { encoding: "utf-8" });
+  if (result.error || result.status !== 0) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    throw new Error(
+      `Could not extract ${file}: ${result.error?.message || result.stderr.trim()}`,
+    );
+  }
+
+  const entries = fs.readdirSync(tmp, { withFileTypes: true });
+  const root =
+    entries.length === 1 && entries[0].isDirectory() ? path.join(tmp, entries[0].name) : tmp;
+  fs.renameSync(root, dir);
+  fs.rmSync(tmp, { recursive: true, force: true });
+  return { dir };
+}
+
+function checkManifest(manifest, label) {
+  const fail = (message) => {
+    throw new Error(`${label}: ${message}`);
+  };
+  const isStringList = (value) =>
+    Array.isArray(value) && value.every((item) => typeof item === "string");
+
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    fail("expected an object");
+  }
+  if (manifest.mode !== undefined && !MODES.includes(manifest.mode)) {
+    fail(`"mode" must be one of: ${MODES.join(", ")}`);
+  }
+  if (manifest.features !== undefined) {
+    if (!isStringList(manifest.features)) fail('"features" must be a list of feature keys');
+    const unknown = manifest.features.filter((key) => !FEATURES[key]);
+    if (unknown.length > 0) fail(`unknown features: ${unknown.join(", ")}`);
+  }
+  if (manifest.postGenerate !== undefined && !isStringList(manifest.postGenerate)) {
+    fail('"postGenerate" must be a list of commands');
+  }
+  if (manifest.prompts !== undefined) {
+    if (!Array.isArray(manifest.prompts)) fail('"prompts" must be a list of questions');
+    const taken = getAnswerNames();
+    for (const question of manifest.prompts) {
+      if (!["name", "type", "message"].every((key) => typeof question?.[key] === "string")) {
+        fail('every prompt needs a "name", a "type" and a "message"');
+      }
+      if (taken.includes(question.name)) {
+        fail(`prompt "${question.name}" would override an answer of the CLI`);
+      }
+    }
+  }
+}
+
+function readManifest(dir, source) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return {};
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${MANIFEST_FILE} of ${source}: ${error.message}`);
+  }
+  checkManifest(manifest, `${MANIFEST_FILE} of ${source}`);
+  return manifest;
+}
+
+/**
+ * Fetch a template from a local directory, a .tgz file or a git URL and
+ * make it the template of this run. Downloads are cached in the user cache
+ * dir. Returns the template and a warning when a stale copy is used.
+ */
+export function loadTemplate(source) {
+  let fetched;
+  if (isGitSource(source)) {
+    fetched = fetchGitTemplate(source);
+  } else if (isTarball(source)) {
+    fetched = extractTarball(source);
+  } else {
+    // Local directories are used in place
+    const dir = path.resolve(source);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`Template not found: ${source}`);
+    }
+    fetched = { dir };
+  }
+
+  const manifest = readManifest(fetched.dir, source);
+  loaded = {
+    source,
+    dir: fetched.dir,
+    name: manifest.name ?? source,
+    mode: manifest.mode ?? "overlay",
+    features: manifest.features ?? null,
+    prompts: manifest.prompts ?? [],
+    defaults: manifest.defaults ?? {},
+    postGenerate: manifest.postGenerate ?? [],
+  };
+  return { template: loaded, warning: fetched.warning };
+}
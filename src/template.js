@@ -0,0 +1,212 @@
+import fs from "node:fs";
+import path from "node:path";
+import { listFiles } from "./output.js";
+
+/**
+ * The template language of the files in templates/. Block markers take a
+ * whole line and may sit in a comment, so templates still read as code:
+ *
+ *   // {{#if i18n}} ... // {{else}} ... // {{/if}}
+ *     Keep a branch when a feature is selected or an answer is set.
+ *     `deployTarget=node` compares an answer (or checks a list answer
+ *     contains the value), `slot:name` checks features put something in
+ *     the slot and `!` negates.
+ *   // {{slot imports}}
+ *     The entries features put in the slot, one after the other.
+ *   // {{#wrap providers}} ... // {{/wrap}}
+ *     The lines in between, wrapped in the elements of the slot.
+ *
+ * Besides `//`, a marker may follow `#` or sit in a `/* *\/` or JSX
+ * `{/* *\/}` comment.
+ *
+ * Inline, `{{projectName}}` is replaced by an answer and `{{slot name}}` by
+ * the slot's entries on one line, each after a space (for JSX attributes).
+ * Rendering fails on any marker it can't resolve. When `variables` lists the
+ * names to replace, any other `{{word}}` is left as it is, since a custom
+ * template may hold JSX like `style={{color}}`.
+ */
+const BLOCK =
+  /^([ \t]*)(?:\/\/|#|\{?\/\*)?[ \t]*\{\{(#if|else|\/if|slot|#wrap|\/wrap)\b[ \t]*([^}]*?)[ \t]*\}\}[ \t]*(?:\*\/\}?)?[ \t]*$/;
+const INLINE_SLOT = /\{\{slot (\w+)\}\}/g;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+const LEFTOVER = /\{\{[#/]?\w+(?: [^}]*)?\}\}/;
+
+/** Indent every non-empty line of `code` with `prefix` */
+export const indent = (code, prefix) =>
+  code
+    .split("\n")
+    .map((line) => (line ? prefix + line : line))
+    .join("\n");
+
+const templateError = (file, index, message) =>
+  new Error(`${file}:${index + 1}: ${message}`);
+
+// A tree of lines and blocks, checking every block is closed
+function parse(lines, file) {
+  const root = [];
+  const stack = [{ list: root }];
+
+  lines.forEach((line, index) => {
+    const match = line.match(BLOCK);
+    const top = stack.at(-1);
+    if (!match) {
+      top.list.push({ type: "line", line, index });
+      return;
+    }
+
+    const [, lead, tag, arg] = match;
+    if ((tag === "#if" || tag === "slot" || tag === "#wrap") && !arg) {
+      throw templateError(file, index, `{{${tag}}} needs a name`);
+    }
+
+    if (tag === "#if") {
+      const node = { type: "if", condition: arg, then: [], otherwise: [] };
+      top.list.push(node);
+      stack.push({ tag, node, index, list: node.then });
+    } else if (tag === "#wrap") {
+      const node = { type: "wrap", name: arg, indent: lead, body: [] };
+      top.list.push(node);
+      stack.push({ tag, node, index, list: node.body });
+    } else if (tag === "slot") {
+      top.list.push({ type: "slot", name: arg, indent: lead });
+    } else if (tag === "else") {
+      if (top.tag !== "#if" || top.list === top.node.otherwise) {
+        throw templateError(file, index, "{{else}} without an {{#if}}");
+      }
+      top.list = top.node.otherwise;
+    } else {
+      if (top.tag !== `#${tag.slice(1)}`) {
+        throw templateError(file, index, `{{${tag}}} without a {{#${tag.slice(1)}}}`);
+      }
+      stack.pop();
+    }
+  });
+
+  if (stack.length > 1) {
+    const { tag, index } = stack.at(-1);
+    throw templateError(file, index, `{{${tag}}} is never closed`);
+  }
+  return root;
+}
+
+function test(condition, { values, slots }) {
+  if (condition.startsWith("!")) return !test(condition.slice(1).trim(), { values, slots });
+  if (condition.startsWith("slot:")) return (slots[condition.slice(5)] ?? []).length > 0;
+
+  const [key, expected] = condition.split("=").map((part) => part.trim());
+  const value = values[key];
+  if (expected !== undefined) {
+    return Array.isArray(value) ? value.includes(expected) : String(value) === expected;
+  }
+  if (values.features?.includes(key)) return true;
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/** A slot's entries as objects, the ones flagged `first` before the others */
+export const getSlotEntries = (slots, name) => {
+  const entries = (slots[name] ?? []).map((entry) =>
+    typeof entry === "string" ? { code: entry } : entry,
+  );
+  return [...entries.filter((e) => e.first), ...entries.filter((e) => !e.first)];
+};
+
+/** The closing tag of a wrapper entry, given as its opening tag */
+export const getCloseTag = (entry) =>
+  entry.close ?? `</${entry.code.match(/^<([\w.]+)/)?.[1] ?? ""}>`;
+
+function renderNodes(nodes, scope) {
+  const { values, slots, variables } = scope;
+  const isVariable = (name) => !variables || variables.includes(name);
+
+  return nodes.flatMap((node) => {
+    if (node.type === "if") {
+      return renderNodes(test(node.condition, scope) ? node.then : node.otherwise, scope);
+    }
+
+    if (node.type === "slot") {
+      return getSlotEntries(slots, node.name).map((entry) => indent(entry.code, node.indent));
+    }
+
+    if (node.type === "wrap") {
+      // The first entry is the outermost element
+      return getSlotEntries(slots, node.name).reduceRight(
+        (lines, entry) => [
+          node.indent + entry.code,
+          ...lines.map((line) => indent(line, "  ")),
+          node.indent + getCloseTag(entry),
+        ],
+        renderNodes(node.body, scope),
+      );
+    }
+
+    const line = node.line
+      .replace(INLINE_SLOT, (marker, name) =>
+        getSlotEntries(slots, name)
+          .map((entry) => ` ${entry.code}`)
+          .join(""),
+      )
+      .replace(VARIABLE, (marker, name) =>
+        isVariable(name) && ["string", "number"].includes(typeof values[name])
+          ? String(values[name])
+          : marker,
+      );
+
+    const leftover = line
+      .replace(VARIABLE, (marker, name) => (isVariable(name) ? marker : ""))
+      .match(LEFTOVER);
+    if (leftover) {
+      throw templateError(scope.file, node.index, `Unresolved marker ${leftover[0]}`);
+    }
+    return [line];
+  });
+}
+
+/**
+ * Render a template with the answers in `values` (their `features` decide
+ * feature conditions) and the entries features put in each slot. Entries
+ * are code strings, or `{ code, first }` objects; a wrapper's `code` is its
+ * opening tag, with an optional `close`. `variables` limits the `{{name}}`
+ * markers replaced inline, see above.
+ */
+export function renderTemplate(
+  content,
+  { file = "template", values = {}, slots = {}, variables = null } = {},
+) {
+  const nodes = parse(content.split("\n"), file);
+  return renderNodes(nodes, { file, values, slots, variables }).join("\n");
+}
+
+/**
+ * Render every file of a templates/ directory into the output. `getSlots`
+ * returns the slots of a file, given its path in the project. Files and
+ * folders listed in `ignore` are left out, `variables` is passed on.
+ */
+export function renderTemplateDir(
+  out,
+  dir,
+  { values, dest = ".", getSlots = () => ({}), ignore = [], variables = null },
+) {
+  const ignored = (file) =>
+    ignore.some((name) => file === name || file.startsWith(`${name}/`));
+
+  for (const file of listFiles(dir).filter((file) => !ignored(file))) {
+    const target = path.posix.join(dest, file);
+    const content = fs.readFileSync(path.join(dir, file));
+
+    // Binary files are copied as they are
+    if (content.includes(0)) {
+      out.write(target, content);
+      continue;
+    }
+
+    out.write(
+      target,
+      renderTemplate(content.toString(), {
+        file: path.posix.join(path.basename(dir), file),
+        values,
+        slots: getSlots(target),
+        variables,
+      }),
+    );
+  }
+}
@@ -0,0 +1,54 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+export const PROJECT_CONFIG_FILE = "create-tanstack-boilerplate.config.json";
+
+export function getConfigDir() {
+  const base =
+    process.env.XDG_CONFIG_HOME ||
+    (process.platform === "win32" && process.env.APPDATA) ||
+    path.join(os.homedir(), ".config");
+  return path.join(base, "create-tanstack-boilerplate");
+}
+
+// Downloaded templates, kept so later runs work offline
+export function getCacheDir() {
+  const base =
+    process.env.XDG_CACHE_HOME ||
+    (process.platform === "win32" && process.env.LOCALAPPDATA) ||
+    path.join(os.homedir(), ".cache");
+  return path.join(base, "create-tanstack-boilerplate");
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+
+  // Relative plugin paths are relative to the config file
+  const plugins = (config.plugins || []).map((plugin) =>
+    plugin.startsWith(".") ? path.resolve(path.dirname(file), plugin) : plugin,
+  );
+  return { ...config, plugins };
+}
+
+/**
+ * Merge the user config (config dir) with the config file in `cwd`, which
+ * wins. Plugin lists are concatenated.
+ */
+export function readUserConfig(cwd = process.cwd()) {
+  const user = readConfigFile(path.join(getConfigDir(), "config.json"));
+  const project = readConfigFile(path.join(cwd, PROJECT_CONFIG_FILE));
+
+  return {
+    ...user,
+    ...project,
+    plugins: [...new Set([...(user.plugins || []), ...(project.plugins || [])])],
+  };
+}
@@ -0,0 +1,128 @@
+// Known-compatible version ranges for every package a generated project can
+// depend on. Bump them together and check a generated project still builds.
+export const VERSIONS = {
+  // Core
+  "@tanstack/react-query": "^5.85.5",
+  "@tanstack/react-router": "^1.132.7",
+  "@tanstack/react-router-ssr-query": "^1.132.7",
+  "@tanstack/react-start": "^1.132.9",
+  "@tanstack/router-core": "^1.132.7",
+  "@tanstack/start-client-core": "^1.132.9",
+  "@tanstack/react-start-server": "^1.132.9",
+  "@tanstack/start-server-core": "^1.132.9",
+  "@tanstack/start-plugin-core": "^1.132.9",
+  "@tanstack/react-start-plugin": "^1.132.9",
+  "@tanstack/router-plugin": "^1.132.7",
+  "@tanstack/router-generator": "^1.132.7",
+  "@tanstack/server-functions-plugin": "^1.132.9",
+  react: "^19.2.0",
+  "react-dom": "^19.2.0",
+  vite: "^7.1.3",
+  "@types/node": "^24.3.0",
+  "@types/react": "^19.2.2",
+  "@types/react-dom": "^19.2.2",
+  "vite-tsconfig-paths": "^5.1.4",
+  "@vitejs/plugin-react": "^5.0.4",
+  typescript: "^5.9.2",
+
+  // i18n
+  "@inlang/paraglide-js": "^2.3.2",
+  "@inlang/cli": "^3.0.12",
+
+  // ui
+  "@radix-ui/react-label": "^2.1.7",
+  "@radix-ui/react-slot": "^1.2.3",
+  "class-variance-authority": "^0.7.1",
+  clsx: "^2.1.1",
+  "tailwind-merge": "^3.3.1",
+  "lucide-react": "^0.544.0",
+  "@tailwindcss/vite": "^4.1.13",
+  tailwindcss: "^4.1.13",
+  "tw-animate-css": "^1.3.8",
+  "@radix-ui/react-dialog": "^1.1.15",
+  "@radix-ui/react-dropdown-menu": "^2.1.16",
+  "@radix-ui/react-select": "^2.2.6",
+  "@radix-ui/react-tabs": "^1.1.13",
+  sonner: "^2.0.7",
+
+  // state
+  jotai: "^2.15.0",
+  zustand: "^5.0.8",
+  "@tanstack/react-store": "^0.7.7",
+
+  // auth
+  "better-auth": "^1.4.0",
+  "@better-auth/cli": "^1.4.0",
+  "better-sqlite3": "^12.4.1",
+  "@types/better-sqlite3": "^7.6.13",
+
+  // database
+  "drizzle-orm": "^0.44.5",
+  "drizzle-kit": "^0.31.5",
+  "@libsql/client": "^0.15.15",
+  "@electric-sql/pglite": "^0.3.10",
+  pg: "^8.16.3",
+  "@types/pg": "^8.15.5",
+  tsx: "^4.20.6",
+  dotenv: "^17.2.3",
+
+  // form
+  "@tanstack/react-form": "^1.23.0",
+
+  // validator
+  zod: "^4.1.11",
+  arktype: "^2.1.22",
+
+  // animation
+  "framer-motion": "^12.23.22",
+
+  // testing
+  "@testing-library/dom": "^10.4.1",
+  "@testing-library/jest-dom": "^6.8.0",
+  "@testing-library/react": "^16.3.0",
+  "@testing-library/user-event": "^14.6.1",
+  "@vitest/coverage-v8": "^3.2.4",
+  "@vitest/ui": "^3.2.4",
+  vitest: "^3.2.4",
+  jsdom: "^27.0.0",
+  "@playwright/test": "^1.55.1",
+
+  // quality
+  "@biomejs/biome": "^2.2.4",
+  eslint: "^9.36.0",
+  "@eslint/js": "^9.36.0",
+  "typescript-eslint": "^8.44.1",
+  "eslint-plugin-react-hooks": "^5.2.0",
+  "@tanstack/eslint-plugin-router": "^1.132.0",
+  "@tanstack/eslint-plugin-query": "^5.90.1",
+  "eslint-config-prettier": "^10.1.8",
+  globals: "^16.4.0",
+  prettier: "^3.6.2",
+  "prettier-plugin-tailwindcss": "^0.6.14",
+  husky: "^9.1.7",
+  "lint-staged": "^16.2.3",
+
+  // deploy
+  "@cloudflare/vite-plugin": "^1.13.8",
+  wrangler: "^4.40.2",
+  "@netlify/vite-plugin-tanstack-start": "^1.0.2",
+  "@tanstack/nitro-v2-vite-plugin": "^1.132.9",
+
+  // monorepo
+  tsup: "^8.5.0",
+  turbo: "^2.5.8",
+};
+
+/**
+ * Range written to package.json for a package: the feature's own pin, then
+ * the manifest, then "latest". `--latest` skips the pins altogether.
+ */
+export function getVersion(name, { latest = false, versions = {} } = {}) {
+  if (latest) return "latest";
+  return versions[name] ?? VERSIONS[name] ?? "latest";
+}
+
+// Exact pinned version ("2.2.4" for "^2.2.4"), for URLs such as schemas
+export function getPinnedVersion(name) {
+  return VERSIONS[name].replace(/^[^\d]*/, "");
+}
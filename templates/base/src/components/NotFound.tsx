@@ -1,7 +1,7 @@
 import { Link } from "@tanstack/react-router";
 import type { ReactNode } from "react";
 
-export function NotFound({ children }: { children?: ReactNode } & Record<string, any>) {
+export function NotFound({ children }: { children?: ReactNode; data?: unknown }) {
   return (
     <div className="space-y-2 p-2">
       <div className="text-gray-600 dark:text-gray-400">
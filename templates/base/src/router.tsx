@@ -3,7 +3,7 @@ import { QueryClient } from '@tanstack/react-query'
 import { setupRouterSsrQueryIntegration } from '@tanstack/react-router-ssr-query'
 import { routeTree } from './routeTree.gen'
 import { DefaultCatchBoundary } from './components/DefaultCatchBoundary'
-// {{I18N_IMPORTS}}
+// {{slot imports}}
 
 export function getRouter() {
   const queryClient = new QueryClient()
@@ -14,9 +14,10 @@ export function getRouter() {
     defaultPreload: 'intent',
     defaultPreloadStaleTime: 0,
     defaultErrorComponent: DefaultCatchBoundary,
-    // {{I18N_REWRITE}}
+    // {{slot routerOptions}}
   })
 
+  // Also wraps the app in a QueryClientProvider for the same client
   setupRouterSsrQueryIntegration({
     router,
     queryClient,
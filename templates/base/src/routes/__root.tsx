@@ -1,15 +1,16 @@
-import { Outlet, createRootRoute } from '@tanstack/react-router'
+import { Outlet, createRootRouteWithContext } from '@tanstack/react-router'
 import { HeadContent, Scripts } from '@tanstack/react-router'
-import { QueryClientProvider, QueryClient } from '@tanstack/react-query'
+import type { QueryClient } from '@tanstack/react-query'
 import { DefaultCatchBoundary } from '../components/DefaultCatchBoundary'
 import { NotFound } from '../components/NotFound'
+import { clientEnv } from '../env'
 import appCss from '../styles/app.css?url'
 import { seo } from '../utils/seo'
-// {{I18N_IMPORTS}}
+// {{slot imports}}
 
-const queryClient = new QueryClient()
-
-export const Route = createRootRoute({
+// The router creates the query client and passes it down, see router.tsx
+export const Route = createRootRouteWithContext<{ queryClient: QueryClient }>()({
+  // {{slot routeOptions}}
   head: () => ({
     meta: [
       {
@@ -20,8 +21,8 @@ export const Route = createRootRoute({
         content: 'width=device-width, initial-scale=1',
       },
       ...seo({
-        title: 'TanStack Start Boilerplate',
-        description: 'A modern web application built with TanStack Start.',
+        title: clientEnv.VITE_APP_TITLE,
+        description: '{{projectName}}, a web application built with TanStack Start.',
       }),
     ],
     links: [
@@ -39,26 +40,28 @@ export const Route = createRootRoute({
 })
 
 function RootComponent() {
-  // {{I18N_LOCALE_HOOK}}
-
   return (
-    <QueryClientProvider client={queryClient}>
-      <RootDocument // {{I18N_LOCALE_PROP}}
-      >
-        <Outlet />
-      </RootDocument>
-    </QueryClientProvider>
+    <RootDocument>
+      {/* {{#wrap providers}} */}
+      <Outlet />
+      {/* {{/wrap}} */}
+    </RootDocument>
   )
 }
 
-function RootDocument({ children, locale }: { children: React.ReactNode, locale?: string }) {
+function RootDocument({ children }: { children: React.ReactNode }) {
+  // {{slot documentHooks}}
   return (
-    <html lang={locale}>
+    <html{{slot htmlAttributes}}>
       <head>
         <HeadContent />
+        {/* {{slot head}} */}
       </head>
       <body className="font-sans antialiased">
+        {/* {{#wrap document}} */}
         {children}
+        {/* {{slot body}} */}
+        {/* {{/wrap}} */}
         <Scripts />
       </body>
     </html>
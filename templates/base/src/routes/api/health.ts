@@ -0,0 +1,10 @@
+import { createFileRoute } from '@tanstack/react-router'
+
+// Health check for the Docker HEALTHCHECK, load balancers and uptime monitors
+export const Route = createFileRoute('/api/health')({
+  server: {
+    handlers: {
+      GET: () => Response.json({ status: 'ok' }),
+    },
+  },
+})
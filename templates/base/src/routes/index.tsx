@@ -1,4 +1,5 @@
 import { createFileRoute } from '@tanstack/react-router'
+// {{slot imports}}
 
 export const Route = createFileRoute('/')({
   component: Home,
@@ -8,12 +9,18 @@ function Home() {
   return (
     <div className="flex min-h-screen items-center justify-center">
       <div className="text-center">
+        {/* {{#if i18n}} */}
+        <LocaleSwitcher />
+        <h1 className="text-4xl font-bold mb-4">{m.welcome()}</h1>
+        <p className="text-xl text-muted-foreground">{m.description()}</p>
+        {/* {{else}} */}
         <h1 className="text-4xl font-bold mb-4">
           Welcome to TanStack Start! 🚀
         </h1>
         <p className="text-xl text-muted-foreground">
           Start building something amazing
         </p>
+        {/* {{/if}} */}
       </div>
     </div>
   )
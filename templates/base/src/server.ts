@@ -1,9 +1,26 @@
 import handler from "@tanstack/react-start/server-entry";
-// {{I18N_IMPORTS}}
+// Checks the environment variables on startup, see .env.example
+import "./env";
+// {{slot imports}}
 
+// {{#if slot:middleware}}
+type Fetch = (req: Request) => Response | Promise<Response>;
+
+// Runs in order before the app, each one passes the request on with next()
+const middleware: ((req: Request, next: Fetch) => Response | Promise<Response>)[] = [
+  // {{slot middleware}}
+];
+
+export default {
+  fetch: middleware.reduceRight<Fetch>(
+    (next, run) => (req) => run(req, next),
+    (req) => handler.fetch(req),
+  ),
+};
+// {{else}}
 export default {
   fetch(req: Request): Response | Promise<Response> {
-    // {{I18N_FETCH}}
     return handler.fetch(req);
   },
 };
+// {{/if}}
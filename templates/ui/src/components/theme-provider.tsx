@@ -0,0 +1,74 @@
+import * as React from "react"
+import { ScriptOnce } from "@tanstack/react-router"
+
+import { setTheme as saveTheme, type Theme } from "@/server/theme"
+
+type ThemeContextValue = {
+  theme: Theme
+  setTheme: (theme: Theme) => void
+}
+
+const ThemeContext = React.createContext<ThemeContextValue | null>(null)
+
+const DARK_QUERY = "(prefers-color-scheme: dark)"
+
+function applyTheme(theme: Theme) {
+  const dark =
+    theme === "dark" ||
+    (theme === "system" && window.matchMedia(DARK_QUERY).matches)
+  document.documentElement.classList.toggle("dark", dark)
+}
+
+function ThemeProvider({
+  theme: initialTheme,
+  children,
+}: {
+  theme: Theme
+  children: React.ReactNode
+}) {
+  const [theme, setThemeState] = React.useState(initialTheme)
+
+  React.useEffect(() => {
+    applyTheme(theme)
+    if (theme !== "system") return
+
+    // Follow the OS setting while it is in charge
+    const media = window.matchMedia(DARK_QUERY)
+    const onChange = () => applyTheme("system")
+    media.addEventListener("change", onChange)
+    return () => media.removeEventListener("change", onChange)
+  }, [theme])
+
+  const setTheme = React.useCallback((next: Theme) => {
+    setThemeState(next)
+    saveTheme({ data: next })
+  }, [])
+
+  return (
+    <ThemeContext.Provider value={{ theme, setTheme }}>
+      {children}
+    </ThemeContext.Provider>
+  )
+}
+
+function useTheme() {
+  const context = React.useContext(ThemeContext)
+  if (!context) {
+    throw new Error("useTheme should be used within <ThemeProvider>")
+  }
+  return context
+}
+
+// The server can't see the OS setting, so with "system" this picks the
+// class before the first paint. Light and dark are rendered by the server.
+function ThemeScript({ theme }: { theme: Theme }) {
+  if (theme !== "system") return null
+
+  return (
+    <ScriptOnce>
+      {`document.documentElement.classList.toggle("dark", window.matchMedia("${DARK_QUERY}").matches)`}
+    </ScriptOnce>
+  )
+}
+
+export { ThemeProvider, ThemeScript, useTheme }
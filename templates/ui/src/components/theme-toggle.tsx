@@ -0,0 +1,31 @@
+import { Monitor, Moon, Sun } from "lucide-react"
+
+import { Button } from "@/components/button"
+import { useTheme } from "@/components/theme-provider"
+import type { Theme } from "@/server/theme"
+
+const NEXT_THEME: Record<Theme, Theme> = {
+  light: "dark",
+  dark: "system",
+  system: "light",
+}
+
+const ICONS = { light: Sun, dark: Moon, system: Monitor }
+
+export function ThemeToggle({ className }: { className?: string }) {
+  const { theme, setTheme } = useTheme()
+  const Icon = ICONS[theme]
+
+  return (
+    <Button
+      variant="ghost"
+      size="icon"
+      className={className}
+      onClick={() => setTheme(NEXT_THEME[theme])}
+      title={`Theme: ${theme}`}
+    >
+      <Icon className="h-5 w-5" />
+      <span className="sr-only">Switch theme, current: {theme}</span>
+    </Button>
+  )
+}
@@ -0,0 +1,28 @@
+import { createServerFn } from "@tanstack/react-start"
+import { getCookie, setCookie } from "@tanstack/react-start/server"
+
+export type Theme = "light" | "dark" | "system"
+
+const THEMES: Theme[] = ["light", "dark", "system"]
+
+const isTheme = (value: unknown): value is Theme =>
+  THEMES.includes(value as Theme)
+
+// The theme lives in a cookie so the server renders the right one
+export const getTheme = createServerFn({ method: "GET" }).handler(() => {
+  const theme = getCookie("theme")
+  return isTheme(theme) ? theme : "system"
+})
+
+export const setTheme = createServerFn({ method: "POST" })
+  .inputValidator((theme: Theme) => {
+    if (!isTheme(theme)) throw new Error(`Unknown theme "${theme}"`)
+    return theme
+  })
+  .handler(({ data }) => {
+    setCookie("theme", data, {
+      path: "/",
+      maxAge: 60 * 60 * 24 * 365,
+      sameSite: "lax",
+    })
+  })